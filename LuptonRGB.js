@@ -29,6 +29,8 @@
 #include <pjsr/SampleType.jsh>
 #include <pjsr/FontFamily.jsh>
 #include <pjsr/Color.jsh>
+#include <pjsr/PropertyType.jsh>
+#include <pjsr/PropertyAttribute.jsh>
 
 // Version check - require PixInsight 1.8.0 or higher
 #iflt __PI_VERSION__ 01.08.00
@@ -50,308 +52,3658 @@ if (typeof Math.asinh === 'undefined') {
    };
 }
 
+// ============================================================================
+// Stretch Functions
+// ============================================================================
+//
+// Registry of color-preserving stretch functions. Each maps the intensity I
+// to F(I); the engine then scales every channel by F(I)/I, so all functions
+// share the Lupton color-preservation framework. An entry defines:
+//
+//   id            Identifier stored in process icons
+//   name          Display name
+//   help          One-line description shown under the parameters
+//   parameters    [{ key, label, min, max, sliderRange, precision,
+//                    defaultValue, toolTip }] - values live in engine[key]
+//   evaluate(x, p)     Preview evaluator for x > 0, p = engine
+//   expression(x, p)   PixelMath expression of F for expression x >= 0
+//
+// F must satisfy F(0) = 0.
+
+// Keep Q away from zero (the arcsinh stretch divides by Q)
+function luptonSafeQ(Q)
+{
+   return (Math.abs(Q) < 0.01) ? (Q >= 0 ? 0.01 : -0.01) : Q;
+}
+
+// Generalized hyperbolic base transform T(x) with stretch D, local
+// intensity b and symmetry point SP (b = 0 is the exponential limit)
+function ghsTransform(x, D, b, SP)
+{
+   var u = Math.abs(x - SP);
+   var t = (b < 1e-6) ? 1 - Math.exp(-D * u) : 1 - Math.pow(1 + D * b * u, -1 / b);
+   return (x >= SP) ? t : -t;
+}
+
+// PixelMath equivalent of ghsTransform() for expression x
+function ghsTransformExpression(x, D, b, SP)
+{
+   var t = function(u)
+   {
+      if (b < 1e-6)
+         return "(1-exp(" + (-D) + "*" + u + "))";
+      return "(1-pow(1+" + (D * b) + "*" + u + "," + (-1 / b) + "))";
+   };
+   return "iif(" + x + ">=" + SP + "," + t("(" + x + "-" + SP + ")") + ",-" + t("(" + SP + "-" + x + ")") + ")";
+}
+
+var StretchFunctions = [
+   {
+      id: "asinh",
+      name: "Arcsinh (Lupton)",
+      help: "Lower Q = earlier log transition",
+      parameters: [
+         { key: "stretch", label: "Stretch (\u03B1):", min: 0.1, max: 1000.0, sliderRange: 10000, precision: 2,
+           defaultValue: 5.0, toolTip: "Linear amplification factor. Higher = brighter image" },
+         { key: "Q", label: "Q (softening):", min: -10.0, max: 30.0, sliderRange: 4000, precision: 2,
+           defaultValue: 8.0, toolTip: "Controls linear-to-logarithmic transition. Lower Q = earlier log behavior" }
+      ],
+      // F(x) = asinh(alpha*Q*x)/Q
+      evaluate: function(x, p)
+      {
+         var Q = luptonSafeQ(p.Q);
+         return Math.asinh(p.stretch * Q * x) / Q;
+      },
+      // asinh(y) = ln(y + sqrt(y^2+1)), PixelMath has no asinh()
+      expression: function(x, p)
+      {
+         var Q = luptonSafeQ(p.Q);
+         var arg = (p.stretch * Q) + "*" + x;
+         return "ln(" + arg + "+sqrt(" + arg + "*" + arg + "+1))/" + Q;
+      }
+   },
+   {
+      id: "log",
+      name: "Logarithmic",
+      help: "F(x) = ln(1 + a\u00B7x) / ln(1 + a)",
+      parameters: [
+         { key: "logScale", label: "Scale (a):", min: 1, max: 10000, sliderRange: 9999, precision: 1,
+           defaultValue: 500, toolTip: "Logarithmic gain. Higher = stronger stretch of faint signal" }
+      ],
+      evaluate: function(x, p)
+      {
+         return Math.log(1 + p.logScale * x) / Math.log(1 + p.logScale);
+      },
+      expression: function(x, p)
+      {
+         return "ln(1+" + p.logScale + "*" + x + ")/" + Math.log(1 + p.logScale);
+      }
+   },
+   {
+      id: "power",
+      name: "Power / Square Root",
+      help: "F(x) = (k\u00B7x)^p, p = 0.5 is a square-root stretch",
+      parameters: [
+         { key: "powerGain", label: "Gain (k):", min: 0.1, max: 100, sliderRange: 999, precision: 2,
+           defaultValue: 10, toolTip: "Linear gain applied before the power law" },
+         { key: "powerExponent", label: "Exponent (p):", min: 0.05, max: 1, sliderRange: 95, precision: 2,
+           defaultValue: 0.5, toolTip: "Power-law exponent. Lower = stronger stretch" }
+      ],
+      evaluate: function(x, p)
+      {
+         return Math.pow(p.powerGain * x, p.powerExponent);
+      },
+      expression: function(x, p)
+      {
+         return "pow(" + p.powerGain + "*" + x + "," + p.powerExponent + ")";
+      }
+   },
+   {
+      id: "mtf",
+      name: "Midtones Transfer (MTF)",
+      help: "PixInsight midtones transfer function; m maps to 0.5",
+      parameters: [
+         { key: "mtfMidtones", label: "Midtones (m):", min: 0.0001, max: 0.5, sliderRange: 4999, precision: 4,
+           defaultValue: 0.02, toolTip: "Input level mapped to 0.5. Lower = stronger stretch" }
+      ],
+      // F(x) = (m-1)x / ((2m-1)x - m)
+      evaluate: function(x, p)
+      {
+         var m = p.mtfMidtones;
+         return (m - 1) * x / ((2 * m - 1) * x - m);
+      },
+      expression: function(x, p)
+      {
+         var m = p.mtfMidtones;
+         return "(" + (m - 1) + "*" + x + ")/(" + (2 * m - 1) + "*" + x + "-" + m + ")";
+      }
+   },
+   {
+      id: "ghs",
+      name: "Generalized Hyperbolic",
+      help: "GHS with stretch factor ln(D+1), local intensity b and symmetry point",
+      parameters: [
+         { key: "ghsStretch", label: "ln(D+1):", min: 0.01, max: 15, sliderRange: 1499, precision: 2,
+           defaultValue: 5, toolTip: "Stretch factor. Higher = stronger stretch" },
+         { key: "ghsLocal", label: "Local (b):", min: 0, max: 15, sliderRange: 1500, precision: 2,
+           defaultValue: 2, toolTip: "Local stretch intensity. Higher = more focused around the symmetry point" },
+         { key: "ghsSymmetry", label: "Symmetry:", min: 0, max: 1, sliderRange: 1000, precision: 4,
+           defaultValue: 0, toolTip: "Symmetry point: intensity where the stretch is strongest" }
+      ],
+      // F(x) = (T(x) - T(0)) / (T(1) - T(0))
+      evaluate: function(x, p)
+      {
+         var D = Math.exp(p.ghsStretch) - 1;
+         var T0 = ghsTransform(0, D, p.ghsLocal, p.ghsSymmetry);
+         var T1 = ghsTransform(1, D, p.ghsLocal, p.ghsSymmetry);
+         return (ghsTransform(x, D, p.ghsLocal, p.ghsSymmetry) - T0) / (T1 - T0);
+      },
+      expression: function(x, p)
+      {
+         var D = Math.exp(p.ghsStretch) - 1;
+         var T0 = ghsTransform(0, D, p.ghsLocal, p.ghsSymmetry);
+         var T1 = ghsTransform(1, D, p.ghsLocal, p.ghsSymmetry);
+         return "(" + ghsTransformExpression(x, D, p.ghsLocal, p.ghsSymmetry) + "-(" + T0 + "))/" + (T1 - T0);
+      }
+   }
+];
+
+// Look up a stretch function by id (falls back to arcsinh)
+function findStretchFunction(id)
+{
+   for (var i = 0; i < StretchFunctions.length; i++)
+      if (StretchFunctions[i].id === id)
+         return StretchFunctions[i];
+   return StretchFunctions[0];
+}
+
+// ============================================================================
+// Saturation Models
+// ============================================================================
+//
+// Ways of scaling the saturation of a stretched pixel by s while keeping its
+// lightness constant. An entry defines:
+//
+//   id            Identifier stored in process icons
+//   name          Display name
+//   toolTip       Description of the model
+//   apply(c, s)        Preview evaluator, c = [r, g, b] >= 0
+//   expressions(c, s)  PixelMath version for channel expressions c:
+//                      { symbols, expressions: [r, g, b] }
+//
+// The pivot models move every channel along the line through a gray pivot
+// of the same lightness, which keeps the hue. The HSV and HSL pivots cap the
+// boost where the smallest channel would turn negative.
+
+// Scale a pixel away from the gray pivot by factor k
+function pivotSaturation(c, pivot, k)
+{
+   return [pivot + (c[0] - pivot) * k, pivot + (c[1] - pivot) * k, pivot + (c[2] - pivot) * k];
+}
+
+// Pivot factor capped so that the smallest channel stays >= 0
+function cappedPivotFactor(pivot, minC, s)
+{
+   return (pivot - minC > 1e-10) ? Math.min(s, pivot / (pivot - minC)) : s;
+}
+
+// PixelMath version of pivotSaturation() for the pivot and factor
+// expressions held by the symbols pivot and k
+function pivotSaturationExpressions(c, pivot, k)
+{
+   return {
+      symbols: "pivot, k",
+      expressions: [
+         "pivot = " + pivot + "; k = " + k + "; pivot + (" + c[0] + " - pivot)*k",
+         "pivot = " + pivot + "; k = " + k + "; pivot + (" + c[1] + " - pivot)*k",
+         "pivot = " + pivot + "; k = " + k + "; pivot + (" + c[2] + " - pivot)*k"
+      ]
+   };
+}
+
+// PixelMath version of cappedPivotFactor(), for the symbol pivot
+function cappedPivotFactorExpression(minC, s)
+{
+   return "iif(pivot - " + minC + " > 1e-10, min(" + s + ", pivot/(pivot - " + minC + ")), " + s + ")";
+}
+
+// CIE L*a*b* (D65, linear sRGB primaries) forward and inverse companding
+var LabDelta = 6 / 29;
+var LabLinearSlope = 1 / (3 * LabDelta * LabDelta);
+var LabOffset = 4 / 29;
+var LabWhite = [0.95047, 1.0, 1.08883];
+
+function labF(t)
+{
+   return (t > LabDelta * LabDelta * LabDelta) ? Math.pow(t, 1 / 3) : LabLinearSlope * t + LabOffset;
+}
+
+function labFInverse(u)
+{
+   return (u > LabDelta) ? u * u * u : (u - LabOffset) / LabLinearSlope;
+}
+
+var SaturationModels = [
+   {
+      id: "linear",
+      name: "Linear (channel mean)",
+      toolTip: "Scales each channel's distance from the mean of R, G and B. " +
+               "Keeps the mean, but can shift hue and push channels negative.",
+      apply: function(c, s)
+      {
+         return pivotSaturation(c, (c[0] + c[1] + c[2]) / 3, s);
+      },
+      expressions: function(c, s)
+      {
+         return pivotSaturationExpressions(c, "(" + c[0] + " + " + c[1] + " + " + c[2] + ")/3", s);
+      }
+   },
+   {
+      id: "lab",
+      name: "CIE L*a*b* chroma",
+      toolTip: "Scales the a* and b* chroma of CIE L*a*b* (D65). " +
+               "Keeps L* and the LCh hue angle constant.",
+      apply: function(c, s)
+      {
+         var X = (0.4124564 * c[0] + 0.3575761 * c[1] + 0.1804375 * c[2]) / LabWhite[0];
+         var Y = (0.2126729 * c[0] + 0.7151522 * c[1] + 0.0721750 * c[2]) / LabWhite[1];
+         var Z = (0.0193339 * c[0] + 0.1191920 * c[1] + 0.9503041 * c[2]) / LabWhite[2];
+
+         // a* and b* are proportional to fx - fy and fy - fz
+         var fy = labF(Y);
+         var X2 = LabWhite[0] * labFInverse(fy + s * (labF(X) - fy));
+         var Z2 = LabWhite[2] * labFInverse(fy + s * (labF(Z) - fy));
+
+         return [
+             3.2404542 * X2 - 1.5371385 * Y - 0.4985314 * Z2,
+            -0.9692660 * X2 + 1.8760108 * Y + 0.0415560 * Z2,
+             0.0556434 * X2 - 0.2040259 * Y + 1.0572252 * Z2
+         ];
+      },
+      expressions: function(c, s)
+      {
+         var f = function(t)
+         {
+            return "iif(" + t + " > " + (LabDelta * LabDelta * LabDelta) + ", pow(" + t + ", 1/3), " +
+                   LabLinearSlope + "*" + t + " + " + LabOffset + ")";
+         };
+         var fInverse = function(u)
+         {
+            return "iif(" + u + " > " + LabDelta + ", " + u + "*" + u + "*" + u + ", (" +
+                   u + " - " + LabOffset + ")/" + LabLinearSlope + ")";
+         };
+         var lab =
+            "labX = (0.4124564*" + c[0] + " + 0.3575761*" + c[1] + " + 0.1804375*" + c[2] + ")/" + LabWhite[0] + "; " +
+            "labY = (0.2126729*" + c[0] + " + 0.7151522*" + c[1] + " + 0.0721750*" + c[2] + ")/" + LabWhite[1] + "; " +
+            "labZ = (0.0193339*" + c[0] + " + 0.1191920*" + c[1] + " + 0.9503041*" + c[2] + ")/" + LabWhite[2] + "; " +
+            "fy = " + f("labY") + "; " +
+            "fx = fy + " + s + "*(" + f("labX") + " - fy); " +
+            "fz = fy + " + s + "*(" + f("labZ") + " - fy); " +
+            "labX2 = " + LabWhite[0] + "*" + fInverse("fx") + "; " +
+            "labZ2 = " + LabWhite[2] + "*" + fInverse("fz") + "; ";
+         return {
+            symbols: "labX, labY, labZ, fx, fy, fz, labX2, labZ2",
+            expressions: [
+               lab + "3.2404542*labX2 - 1.5371385*labY - 0.4985314*labZ2",
+               lab + "-0.9692660*labX2 + 1.8760108*labY + 0.0415560*labZ2",
+               lab + "0.0556434*labX2 - 0.2040259*labY + 1.0572252*labZ2"
+            ]
+         };
+      }
+   },
+   {
+      id: "hsv",
+      name: "HSV saturation",
+      toolTip: "Scales HSV saturation around the maximum channel. " +
+               "Keeps value (max of R, G, B) and hue; saturation is capped at 1.",
+      apply: function(c, s)
+      {
+         var V = Math.max(c[0], c[1], c[2]);
+         return pivotSaturation(c, V, cappedPivotFactor(V, Math.min(c[0], c[1], c[2]), s));
+      },
+      expressions: function(c, s)
+      {
+         var minC = "min(" + c[0] + ", min(" + c[1] + ", " + c[2] + "))";
+         return pivotSaturationExpressions(c, "max(" + c[0] + ", max(" + c[1] + ", " + c[2] + "))",
+                                           cappedPivotFactorExpression(minC, s));
+      }
+   },
+   {
+      id: "hsl",
+      name: "HSL saturation",
+      toolTip: "Scales HSL saturation around the mid-range of R, G and B. " +
+               "Keeps lightness ((max + min)/2) and hue; the boost stops where the smallest channel reaches 0.",
+      apply: function(c, s)
+      {
+         var maxC = Math.max(c[0], c[1], c[2]);
+         var minC = Math.min(c[0], c[1], c[2]);
+         var L = (maxC + minC) / 2;
+         return pivotSaturation(c, L, cappedPivotFactor(L, minC, s));
+      },
+      expressions: function(c, s)
+      {
+         var maxC = "max(" + c[0] + ", max(" + c[1] + ", " + c[2] + "))";
+         var minC = "min(" + c[0] + ", min(" + c[1] + ", " + c[2] + "))";
+         return pivotSaturationExpressions(c, "(" + maxC + " + " + minC + ")/2",
+                                           cappedPivotFactorExpression(minC, s));
+      }
+   }
+];
+
+// Look up a saturation model by id (falls back to linear)
+function findSaturationModel(id)
+{
+   for (var i = 0; i < SaturationModels.length; i++)
+      if (SaturationModels[i].id === id)
+         return SaturationModels[i];
+   return SaturationModels[0];
+}
+
+// ============================================================================
+// Narrowband Palettes
+// ============================================================================
+//
+// Mixes of any number of mono masters into R, G and B, applied ahead of the
+// Lupton intensity. The masters are expected in Ha, OIII, SII order. Fixed
+// palettes give one [r, g, b] row per master; dynamic palettes mix each
+// pixel with mix() and expressions() instead of a matrix.
+
+var PaletteMixes = [
+   {
+      id: "sho",
+      name: "SHO (Hubble)",
+      masters: 3,
+      toolTip: "R = SII, G = Ha, B = OIII",
+      matrix: [[0, 1, 0], [0, 0, 1], [1, 0, 0]]
+   },
+   {
+      id: "hoo",
+      name: "HOO",
+      masters: 2,
+      toolTip: "R = Ha, G = B = OIII",
+      matrix: [[1, 0, 0], [0, 1, 1]]
+   },
+   {
+      id: "foraxx",
+      name: "Foraxx (dynamic SHO)",
+      masters: 3,
+      toolTip: "Per-pixel SHO mix: as OIII brightens, red moves from Ha to SII, " +
+               "and as OIII\u00B7Ha brightens, green moves from OIII to Ha; B = OIII",
+      // t = O^(1-O): R = t*S + (1-t)*H; u = (O*H)^(1-O*H): G = u*H + (1-u)*O
+      mix: function(v)
+      {
+         var H = Math.max(0, v[0]);
+         var O = Math.max(0, v[1]);
+         var S = Math.max(0, v[2]);
+         var t = Math.pow(O, 1 - O);
+         var u = Math.pow(O * H, 1 - O * H);
+         return [t * S + (1 - t) * H, u * H + (1 - u) * O, O];
+      },
+      expressions: function(v)
+      {
+         var H = "max(0," + v[0] + ")";
+         var O = "max(0," + v[1] + ")";
+         var S = "max(0," + v[2] + ")";
+         var OH = "(" + O + "*" + H + ")";
+         var t = "pow(" + O + ",1-" + O + ")";
+         var u = "pow(" + OH + ",1-" + OH + ")";
+         return [
+            t + "*" + S + "+(1-" + t + ")*" + H,
+            u + "*" + H + "+(1-" + u + ")*" + O,
+            O
+         ];
+      }
+   },
+   {
+      id: "bicolor",
+      name: "Bicolor (synthetic green)",
+      masters: 2,
+      toolTip: "R = Ha, G = (Ha + OIII)/2, B = OIII",
+      matrix: [[1, 0.5, 0], [0, 0.5, 1]]
+   },
+   {
+      id: "custom",
+      name: "Custom matrix",
+      masters: 1,
+      toolTip: "Mixing matrix edited by hand, one R, G, B row per master",
+      matrix: null
+   }
+];
+
+// Look up a palette by id (falls back to SHO)
+function findPaletteMix(id)
+{
+   for (var i = 0; i < PaletteMixes.length; i++)
+      if (PaletteMixes[i].id === id)
+         return PaletteMixes[i];
+   return PaletteMixes[0];
+}
+
+// ============================================================================
+// Astropy Compatibility
+// ============================================================================
+//
+// Reference pixels produced by astropy.visualization.make_lupton_rgb
+// (astropy 8.0, float64 input, uint8 output). Each entry lists the call
+// arguments minimum (scalar or [R, G, B]), stretch and Q, one input pixel
+// and the expected 8-bit output. LuptonEngine.checkAstropyCompatibility()
+// runs the preview helper and the PixelMath output path against this
+// table.
+
+var AstropyTestVectors = [
+   { minimum: 0.0,                   stretch: 5,    Q: 8,  input: [0.01, 0.02, 0.03],       output: [0, 1, 1] },
+   { minimum: 0.0,                   stretch: 5,    Q: 8,  input: [0.2, 0.1, 0.05],         output: [11, 5, 2] },
+   { minimum: 0.0,                   stretch: 5,    Q: 8,  input: [0.9, 0.8, 0.7],          output: [41, 37, 32] },
+   { minimum: 0.0,                   stretch: 0.5,  Q: 8,  input: [0.3, 0.2, 0.1],          output: [98, 65, 32] },
+   { minimum: 0.0,                   stretch: 0.05, Q: 10, input: [0.02, 0.015, 0.01],      output: [70, 52, 35] },
+   { minimum: 0.0,                   stretch: 0.05, Q: 10, input: [0.6, 0.3, 0.1],          output: [254, 127, 42] },
+   { minimum: 0.001,                 stretch: 0.1,  Q: 8,  input: [0.004, 0.0035, 0.003],   output: [8, 6, 5] },
+   { minimum: [0.001, 0.002, 0.003], stretch: 0.1,  Q: 8,  input: [0.006, 0.006, 0.006],    output: [13, 10, 8] },
+   { minimum: [0.001, 0.002, 0.003], stretch: 0.1,  Q: 8,  input: [0.0005, 0.01, 0.02],     output: [0, 20, 44] },
+   { minimum: 0.0,                   stretch: 1,    Q: 0,  input: [0.05, 0.04, 0.03],       output: [12, 10, 7] },
+   { minimum: 0.0,                   stretch: 1,    Q: 2,  input: [0.1, 0.2, 0.4],          output: [24, 49, 99] },
+   { minimum: 0.0,                   stretch: 0.02, Q: 3,  input: [0.001, 0.0008, 0.0012], output: [12, 10, 15] },
+   { minimum: 0.005,                 stretch: 5,    Q: 8,  input: [0.001, 0.002, 0.003],    output: [0, 0, 0] },
+   { minimum: 0.0,                   stretch: 0.2,  Q: 12, input: [0.25, 0.0, 0.0],         output: [174, 0, 0] },
+   { minimum: 0.0,                   stretch: 0.01, Q: 8,  input: [0.8, 0.6, 0.3],          output: [255, 191, 95] }
+];
+
+// Astropy's Q handling: |Q| below float32 epsilon becomes 0.1, capped at 1e10
+function astropySafeQ(Q)
+{
+   if (Math.abs(Q) < 1.0 / 8388608)
+      return 0.1;
+   return Math.min(Q, 1e10);
+}
+
+// One pixel of make_lupton_rgb(minimum, stretch, Q): subtract per-band
+// minima, scale by f(I)/I with f(I) = asinh(I*Q/stretch)*0.1/asinh(0.1*Q),
+// clip negatives, divide by max(R,G,B) where it exceeds 1 and quantize to
+// 8 bits the way numpy's astype(uint8) does (truncation).
+// Returns the 8-bit levels [0-255].
+function astropyLuptonPixel(r, g, b, minimum, stretch, Q)
+{
+   Q = astropySafeQ(Q);
+   var slope = 0.1 / Math.asinh(0.1 * Q);
+   var soften = Q / stretch;
+
+   var x = [r - minimum[0], g - minimum[1], b - minimum[2]];
+   var I = (x[0] + x[1] + x[2]) / 3.0;
+   var fac = (I <= 0) ? 0 : Math.asinh(I * soften) * slope / I;
+
+   for (var c = 0; c < 3; c++)
+      x[c] = Math.max(0, x[c] * fac);
+
+   var maxRGB = Math.max(x[0], x[1], x[2]);
+   for (var c = 0; c < 3; c++)
+   {
+      if (maxRGB > 1)
+         x[c] = x[c] / maxRGB;
+      x[c] = Math.floor(x[c] * 255);
+   }
+
+   return x;
+}
+
 // ============================================================================
 // Algorithm Engine
 // ============================================================================
 
-function LuptonEngine()
-{
-   // Default parameters
-   this.stretch = 5.0;        // Alpha: linear amplification factor (0.1 - 50.0)
-   this.Q = 8.0;              // Q: softening parameter (0.1 - 30.0)
-   this.blackPoint = 0.0;     // Linked black point (-0.1 - 0.5)
-   this.blackR = 0.0;         // Per-channel black point R
-   this.blackG = 0.0;         // Per-channel black point G
-   this.blackB = 0.0;         // Per-channel black point B
-   this.linkedChannels = true;
-   this.saturation = 1.0;     // Saturation boost (0.5 - 2.0)
-   this.clippingMode = 0;     // 0: Preserve Color, 1: Hard Clip, 2: Rescale
+// k-th smallest element of a typed array (quickselect, reorders values)
+function selectKth(values, k)
+{
+   var left = 0;
+   var right = values.length - 1;
+   while (left < right)
+   {
+      var pivot = values[(left + right) >> 1];
+      var i = left;
+      var j = right;
+      while (i <= j)
+      {
+         while (values[i] < pivot) i++;
+         while (values[j] > pivot) j--;
+         if (i <= j)
+         {
+            var t = values[i];
+            values[i] = values[j];
+            values[j] = t;
+            i++;
+            j--;
+         }
+      }
+      if (k <= j)
+         right = j;
+      else if (k >= i)
+         left = i;
+      else
+         break;
+   }
+   return values[k];
+}
+
+// Number of terms u^i v^j (i + j <= degree) of a 2D polynomial
+function polynomialTermCount(degree)
+{
+   return (degree + 1) * (degree + 2) / 2;
+}
+
+// Values of the 2D polynomial terms at (u, v), ordered by i then j
+function polynomialTerms(u, v, degree)
+{
+   var terms = [];
+   var ui = 1;
+   for (var i = 0; i <= degree; i++)
+   {
+      var t = ui;
+      for (var j = 0; j <= degree - i; j++)
+      {
+         terms.push(t);
+         t *= v;
+      }
+      ui *= u;
+   }
+   return terms;
+}
+
+// PixelMath expression of the 2D polynomial with the given coefficients
+// in the symbols u and v, term order as polynomialTerms()
+function polynomialExpression(coefficients, degree, u, v)
+{
+   var items = [];
+   var k = 0;
+   for (var i = 0; i <= degree; i++)
+   {
+      for (var j = 0; j <= degree - i; j++)
+      {
+         var factors = ["(" + coefficients[k++] + ")"];
+         for (var n = 0; n < i; n++) factors.push(u);
+         for (var n = 0; n < j; n++) factors.push(v);
+         items.push(factors.join("*"));
+      }
+   }
+   return "(" + items.join("+") + ")";
+}
+
+// Least-squares coefficients of a linear model: rows[k] holds the term
+// values of sample k, values[k] its value. Solves the normal equations by
+// Gaussian elimination with partial pivoting; null if they are singular.
+function leastSquares(rows, values)
+{
+   var n = rows[0].length;
+   var A = [];
+   for (var i = 0; i < n; i++)
+   {
+      A.push([]);
+      for (var j = 0; j <= n; j++)
+         A[i].push(0);
+   }
+   for (var k = 0; k < rows.length; k++)
+   {
+      var t = rows[k];
+      for (var i = 0; i < n; i++)
+      {
+         for (var j = 0; j < n; j++)
+            A[i][j] += t[i] * t[j];
+         A[i][n] += t[i] * values[k];
+      }
+   }
+
+   for (var col = 0; col < n; col++)
+   {
+      var pivot = col;
+      for (var i = col + 1; i < n; i++)
+         if (Math.abs(A[i][col]) > Math.abs(A[pivot][col]))
+            pivot = i;
+      if (Math.abs(A[pivot][col]) < 1e-12)
+         return null;
+      var swap = A[col];
+      A[col] = A[pivot];
+      A[pivot] = swap;
+      for (var i = col + 1; i < n; i++)
+      {
+         var f = A[i][col] / A[col][col];
+         for (var j = col; j <= n; j++)
+            A[i][j] -= f * A[col][j];
+      }
+   }
+
+   var c = [];
+   for (var i = n - 1; i >= 0; i--)
+   {
+      var sum = A[i][n];
+      for (var j = i + 1; j < n; j++)
+         sum -= A[i][j] * c[j - i - 1];
+      c.unshift(sum / A[i][i]);
+   }
+   return c;
+}
+
+// 3x3 identity color matrix (rows produce R, G and B)
+function identityColorMatrix()
+{
+   return [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+}
+
+// Largest absolute color matrix element: the range of the dialog's edits,
+// enforced on loaded and derived matrices by validateColorMatrix()
+var ColorMatrixLimit = 10;
+
+// Read a 3x3 color matrix from file text: JSON, either the array of rows
+// or an object with a "matrix" member, or plain text with nine numbers in
+// row order separated by spaces, commas or semicolons ('#' starts a
+// comment). Returns the rows, or null if the text holds no 3x3 matrix.
+function parseColorMatrix(text)
+{
+   var values = null;
+   try
+   {
+      var json = JSON.parse(text);
+      var rows = (json !== null && json.matrix !== undefined) ? json.matrix : json;
+      if (rows instanceof Array && rows.length === 3)
+      {
+         values = [];
+         for (var i = 0; i < 3; i++)
+         {
+            if (!(rows[i] instanceof Array) || rows[i].length !== 3) return null;
+            values = values.concat(rows[i]);
+         }
+      }
+   }
+   catch (e)
+   {
+      var lines = text.split("\n");
+      var tokens = [];
+      for (var i = 0; i < lines.length; i++)
+      {
+         var line = lines[i].replace(/#.*$/, "").trim();
+         if (line.length > 0)
+            tokens = tokens.concat(line.split(/[\s,;]+/));
+      }
+      values = [];
+      for (var i = 0; i < tokens.length; i++)
+         values.push(Number(tokens[i]));
+   }
+
+   if (values === null || values.length !== 9) return null;
+   for (var i = 0; i < 9; i++)
+      if (typeof values[i] !== "number" || !isFinite(values[i]))
+         return null;
+   return [values.slice(0, 3), values.slice(3, 6), values.slice(6, 9)];
+}
+
+// Names of the clipping modes, indexed by LuptonEngine.clippingMode
+var ClippingModeNames = ["Preserve Color (Lupton)", "Hard Clip", "Rescale to Max", "Soft Knee", "Blend to White"];
+
+// Pixel categories processPixel() reports through its status argument,
+// marked in the preview and counted in the dialog status bar. flag is the
+// bit set in status.flags; color is the opaque preview marker.
+var ClippingIndicators = [
+   {
+      id: "clipped",
+      flag: 1,
+      name: "Clipped",
+      color: 0xffff0000,
+      toolTip: "Pixels scaled down by Preserve Color, or with a channel cut at 1.0 by the other clipping modes"
+   },
+   {
+      id: "crushed",
+      flag: 2,
+      name: "Crushed",
+      color: 0xff0080ff,
+      toolTip: "Pixels with a channel at or below its black point, clamped to 0"
+   },
+   {
+      id: "negative",
+      flag: 4,
+      name: "Sat. < 0",
+      color: 0xffff00ff,
+      toolTip: "Pixels where the saturation boost drove a channel negative, clamped to 0"
+   }
+];
+
+// Bins of the output histogram accumulated by the preview over [0, 1],
+// fine enough to zoom in on the low end
+var OutputHistogramBins = 4096;
+
+// Names of the Before view displays, indexed by LuptonEngine.beforeView
+var BeforeViewNames = ["AutoSTF (linked)", "AutoSTF (unlinked)", "Histogram Transformation"];
+
+// AutoSTF defaults: shadows clipping point in normalized MAD units from
+// the median, and the target background of the stretched image
+var AutoSTFShadowsClipping = -2.8;
+var AutoSTFTargetBackground = 0.25;
+
+// Midtones transfer function MTF(m, x): maps 0 to 0, m to 0.5 and 1 to 1
+function midtonesTransfer(m, x)
+{
+   if (x <= 0) return 0;
+   if (x >= 1) return 1;
+   if (m === 0.5) return x;
+   return (m - 1) * x / ((2 * m - 1) * x - m);
+}
+
+// Screen transfer function [shadows, midtones, highlights] that takes a
+// channel with the given median and normalized MAD to the AutoSTF target
+// background
+function autoSTFChannel(median, mad)
+{
+   var shadows = Math.max(0, Math.min(1, median + AutoSTFShadowsClipping * mad));
+   var midtones = (median > shadows) ? midtonesTransfer(AutoSTFTargetBackground, median - shadows) : 0.5;
+   return [shadows, midtones, 1];
+}
+
+// Apply a screen transfer function [shadows, midtones, highlights] to x
+function screenTransfer(stf, x)
+{
+   var range = stf[2] - stf[0];
+   if (range <= 0) return (x < stf[0]) ? 0 : 1;
+   return midtonesTransfer(stf[1], (x - stf[0]) / range);
+}
+
+function LuptonEngine()
+{
+   // Default parameters
+   this.stretchFunction = "asinh"; // Stretch function id (see StretchFunctions)
+   this.stretch = 5.0;        // Alpha: linear amplification factor (0.1 - 50.0)
+   this.Q = 8.0;              // Q: softening parameter (0.1 - 30.0)
+   this.autoStretch = false;           // Solve alpha and Q from the image on every execution
+   this.autoStretchBackground = 0.12;  // Auto stretch: target stretched sky background
+   this.autoStretchClipping = 0.0005;  // Auto stretch: fraction of pixels allowed to reach clipping
+   this.physicalParameters = false;    // Derive alpha and Q from the physical parameters below
+   this.softeningWidth = 20;           // Physical: linear regime width in background noise sigmas
+   this.referenceFlux = 0.1;           // Physical: reference input level above the black point
+   this.referenceBrightness = 0.8;     // Physical: output level of the reference flux
+   this.channelNoise = null;           // [r, g, b, l] background noise from measureNoise()
+   this.blackPoint = 0.0;     // Linked black point (-0.1 - 0.5)
+   this.blackR = 0.0;         // Per-channel black point R
+   this.blackG = 0.0;         // Per-channel black point G
+   this.blackB = 0.0;         // Per-channel black point B
+   this.linkedChannels = true;
+   this.blackPointSigma = 2.8;       // Auto black point: median - k*sigma of the background
+   this.neutralizeBackground = false; // Auto black point: per-channel values for a neutral background
+   this.backgroundModel = false;     // Subtract a fitted background surface instead of the black points
+   this.backgroundDegree = 2;        // Polynomial degree of the background surface (1 - 4)
+   this.backgroundGrid = 16;         // Automatic samples: grid cells along each image side
+   this.backgroundSampleRadius = 10; // Clicked samples: half size of the sampled box in pixels
+   this.backgroundSamples = [];      // Clicked sample positions [x, y]; empty = automatic samples
+   this.backgroundSurface = null;    // Surface from fitBackgroundModel()
+   this.astropyCompatible = false; // Strict astropy make_lupton_rgb semantics
+   this.saturation = 1.0;     // Saturation boost (0.5 - 2.0)
+   this.saturationModel = "linear"; // Saturation model id (see SaturationModels)
+   this.saturationRamp = false;     // Ramp saturation with stretched intensity
+   this.saturationThreshold = 0.1;  // Stretched intensity where the ramp starts
+   this.saturationSoftness = 0.1;   // Width of the ramp
+   this.protectBackground = false;  // Use the measured background as threshold
+   this.backgroundLevels = null;    // [r, g, b, l] from measureBackground()
+   this.previewOverlay = 0;         // Preview display: 0 = result, 1 = saturation weight, 2 = background model
+   this.previewCache = null;        // Downsampled preview inputs from buildPreviewCache()
+   this.beforeView = 0;             // Before view display (see BeforeViewNames)
+   this.htShadows = 0.0;            // Histogram Transformation Before view: shadows clipping point
+   this.htMidtones = 0.5;           // Histogram Transformation Before view: midtones balance
+   this.htHighlights = 1.0;         // Histogram Transformation Before view: highlights clipping point
+   this.displayStatistics = null;   // [[median, normalized MAD] x 3] from measureDisplayStatistics()
+   this.indicatorCounts = null;     // { pixels, counts } of ClippingIndicators in the last After view
+   this.outputHistogram = null;     // [r, g, b, I] counts in OutputHistogramBins of the last After view
+   this.clippingMode = 0;     // 0: Preserve Color, 1: Hard Clip, 2: Rescale, 3: Soft Knee, 4: Blend to White
+   this.clippingKnee = 0.8;   // Soft Knee / Blend to White: where the roll-off starts (0.5 - 0.99)
+   this.rescalePercentile = 99.95; // Rescale: percentile of the stretched data mapped to 1.0
+   this.rescaleLinked = true;  // Rescale: one level from max(R,G,B) instead of one per channel
+   this.rescaleLevels = null;  // Rescale: [r, g, b] levels measured by the last preview or execution
+   this.weightR = 1.0;        // Per-band flux scaling (white balance) R
+   this.weightG = 1.0;        // Per-band flux scaling (white balance) G
+   this.weightB = 1.0;        // Per-band flux scaling (white balance) B
+   this.colorCalibration = false;              // Apply colorMatrix to the weighted channels
+   this.colorMatrix = identityColorMatrix();   // Rows give calibrated R, G, B from weighted R, G, B
+   this.intensityMode = 0;    // 0: Mean, 1: Rec.709 luminance, 2: Max(R,G,B), 3: Custom
+   this.intensityR = 1.0;     // Custom intensity coefficient R
+   this.intensityG = 1.0;     // Custom intensity coefficient G
+   this.intensityB = 1.0;     // Custom intensity coefficient B
+   this.outputMode = 0;       // 0: New window, 1: In place, 2: Replace previous output window
+
+   // Parameters of the other stretch functions, at their registry defaults
+   for (var i = 1; i < StretchFunctions.length; i++)
+   {
+      var fnParams = StretchFunctions[i].parameters;
+      for (var j = 0; j < fnParams.length; j++)
+         this[fnParams[j].key] = fnParams[j].defaultValue;
+   }
+
+   // Image sources
+   this.useActiveImage = true;
+   this.imageR = null;        // View supplying the red channel (separate mono masters)
+   this.imageG = null;        // View supplying the green channel
+   this.imageB = null;        // View supplying the blue channel
+   this.imageL = null;        // Optional luminance master (LRGB mode)
+   this.usePalette = false;   // Mix narrowband masters instead of the R/G/B views
+   this.paletteViews = [];    // Narrowband masters, in Ha, OIII, SII order
+   this.palette = "sho";      // Palette id (see PaletteMixes)
+   this.paletteMatrix = [];   // [r, g, b] row per master of a fixed palette
+   this.luminanceBlend = 1.0; // LRGB: 0 = RGB-derived intensity, 1 = L-derived intensity
+   this.blackL = 0.0;         // LRGB: black point of the luminance master
+   this.maskView = null;      // Mask used instead of the target window's own mask
+   this.maskInverted = false; // Invert maskView (a window mask keeps its own setting)
+
+   // True when mono masters, either the R/G/B views or the narrowband
+   // palette, rather than an RGB image feed the stretch
+   this.usesSeparateChannels = function()
+   {
+      return !this.useActiveImage &&
+             (this.usePalette || this.imageR !== null || this.imageG !== null || this.imageB !== null);
+   };
+
+   // True when the narrowband masters are mixed into R, G and B
+   this.usesPalette = function()
+   {
+      return !this.useActiveImage && this.usePalette;
+   };
+
+   // The mono masters feeding the stretch: the palette masters or the R, G
+   // and B views. The first one supplies the metadata of the result.
+   this.masterViews = function()
+   {
+      return this.usesPalette() ? this.paletteViews : [this.imageR, this.imageG, this.imageB];
+   };
+
+   // Check that all three mono masters are selected and share the same size.
+   // Returns an error message, or null if the inputs can be combined.
+   this.validateSeparateChannels = function()
+   {
+      var views = [this.imageR, this.imageG, this.imageB];
+      var names = ["R", "G", "B"];
+
+      for (var i = 0; i < 3; i++)
+      {
+         if (!views[i] || views[i].isNull || !views[i].image)
+            return "No image selected for the " + names[i] + " channel";
+         if (views[i].image.numberOfChannels !== 1)
+            return names[i] + " image '" + views[i].id + "' must be a grayscale image";
+      }
+
+      var width = views[0].image.width;
+      var height = views[0].image.height;
+      for (var i = 1; i < 3; i++)
+      {
+         var image = views[i].image;
+         if (image.width !== width || image.height !== height)
+            return format("%s image '%s' is %d x %d px but R image '%s' is %d x %d px",
+                          names[i], views[i].id, image.width, image.height,
+                          views[0].id, width, height);
+      }
+
+      return null;
+   };
+
+   // Fill paletteMatrix with the rows of the selected fixed palette for the
+   // current masters; masters beyond the palette's rows get zero rows. A
+   // custom matrix only gains or loses rows to match the masters.
+   this.applyPalettePreset = function()
+   {
+      var preset = findPaletteMix(this.palette).matrix;
+      if (preset === undefined) return;
+
+      var matrix = [];
+      for (var i = 0; i < this.paletteViews.length; i++)
+      {
+         if (preset !== null)
+            matrix.push(i < preset.length ? preset[i].slice() : [0, 0, 0]);
+         else
+            matrix.push(i < this.paletteMatrix.length ? this.paletteMatrix[i].slice() : [0, 0, 0]);
+      }
+      this.paletteMatrix = matrix;
+   };
+
+   // Check the narrowband masters and the mixing matrix.
+   // Returns an error message, or null if the masters can be mixed.
+   this.validatePalette = function()
+   {
+      var views = this.paletteViews;
+      var mix = findPaletteMix(this.palette);
+
+      if (views.length < mix.masters)
+         return format("The %s palette needs %d masters (in Ha, OIII, SII order)", mix.name, mix.masters);
+
+      for (var i = 0; i < views.length; i++)
+      {
+         if (!views[i] || views[i].isNull || !views[i].image)
+            return format("Palette master %d is no longer available", i + 1);
+         if (views[i].image.numberOfChannels !== 1)
+            return "Palette master '" + views[i].id + "' must be a grayscale image";
+      }
+
+      var width = views[0].image.width;
+      var height = views[0].image.height;
+      for (var i = 1; i < views.length; i++)
+      {
+         var image = views[i].image;
+         if (image.width !== width || image.height !== height)
+            return format("Palette master '%s' is %d x %d px but '%s' is %d x %d px",
+                          views[i].id, image.width, image.height, views[0].id, width, height);
+      }
+
+      if (mix.matrix !== undefined)
+      {
+         if (this.paletteMatrix.length !== views.length)
+            return "The mixing matrix needs one R, G, B row per palette master";
+         var sums = [0, 0, 0];
+         for (var i = 0; i < views.length; i++)
+            for (var c = 0; c < 3; c++)
+               sums[c] += Math.abs(this.paletteMatrix[i][c]);
+         for (var c = 0; c < 3; c++)
+            if (sums[c] === 0)
+               return "The mixing matrix leaves the " + ["red", "green", "blue"][c] + " channel empty";
+      }
+
+      return null;
+   };
+
+   // R, G and B of one pixel mixed from the master values v
+   this.mixPalettePixel = function(v)
+   {
+      var mix = findPaletteMix(this.palette);
+      if (mix.matrix === undefined)
+         return mix.mix(v);
+
+      var rgb = [0, 0, 0];
+      for (var i = 0; i < v.length; i++)
+      {
+         var row = this.paletteMatrix[i];
+         rgb[0] += row[0] * v[i];
+         rgb[1] += row[1] * v[i];
+         rgb[2] += row[2] * v[i];
+      }
+      return rgb;
+   };
+
+   // PixelMath expressions of the mixed R, G and B channels
+   this.paletteExpressions = function()
+   {
+      var ids = [];
+      for (var i = 0; i < this.paletteViews.length; i++)
+         ids.push(this.paletteViews[i].id);
+
+      var mix = findPaletteMix(this.palette);
+      if (mix.matrix === undefined)
+         return mix.expressions(ids);
+
+      var expressions = [];
+      for (var c = 0; c < 3; c++)
+      {
+         var terms = [];
+         for (var i = 0; i < ids.length; i++)
+         {
+            var k = this.paletteMatrix[i][c];
+            if (k !== 0)
+               terms.push("(" + k + ")*" + ids[i]);
+         }
+         expressions.push(terms.length > 0 ? terms.join("+") : "0");
+      }
+      return expressions;
+   };
+
+   // Short description of the palette for the console and the history
+   this.describePalette = function()
+   {
+      var ids = [];
+      for (var i = 0; i < this.paletteViews.length; i++)
+         ids.push(this.paletteViews[i].id);
+      return findPaletteMix(this.palette).name + " of " + ids.join(", ");
+   };
+
+   // Identifies the mix applied to the masters: palette and matrix
+   this.paletteMixKey = function()
+   {
+      return this.palette + "|" + JSON.stringify(this.paletteMatrix);
+   };
+
+   // Mix count pixels of the master rows (one array per master) into the
+   // R, G and B arrays of mixed; channels whose array is null are skipped.
+   // Fixed palettes are mixed channel by channel without per-pixel work
+   // beyond the multiply-adds.
+   this.mixPaletteRows = function(rows, count, mixed)
+   {
+      var mix = findPaletteMix(this.palette);
+      if (mix.matrix === undefined)
+      {
+         var v = new Array(rows.length);
+         for (var x = 0; x < count; x++)
+         {
+            for (var i = 0; i < rows.length; i++)
+               v[i] = rows[i][x];
+            var rgb = mix.mix(v);
+            for (var c = 0; c < 3; c++)
+               if (mixed[c] !== null)
+                  mixed[c][x] = rgb[c];
+         }
+         return;
+      }
+
+      for (var c = 0; c < 3; c++)
+      {
+         var out = mixed[c];
+         if (out === null) continue;
+         for (var x = 0; x < count; x++)
+            out[x] = 0;
+         for (var i = 0; i < rows.length; i++)
+         {
+            var k = this.paletteMatrix[i][c];
+            if (k === 0) continue;
+            var row = rows[i];
+            for (var x = 0; x < count; x++)
+               out[x] += k * row[x];
+         }
+      }
+   };
+
+   // The mixed palette as a read-only RGB image for the measurements. It
+   // has the Image members they use (width, height, sample(), getSamples(),
+   // and median() and MAD() of selectedChannel) and mixes the masters as
+   // they are read, so no mixed copy of the masters is kept. The median
+   // and MAD are estimated from about 250000 pixels on a regular grid. The
+   // preview mixes its cache (mixPreviewCache()) and the output is mixed
+   // with PixelMath (applyPalettePixelMath()).
+   this.paletteSource = function()
+   {
+      var engine = this;
+      var masters = [];
+      for (var i = 0; i < this.paletteViews.length; i++)
+         masters.push(this.paletteViews[i].image);
+      var width = masters[0].width;
+      var height = masters[0].height;
+      var rows = [];
+
+      var image = {
+         width: width,
+         height: height,
+         numberOfChannels: 3,
+         selectedChannel: 0,
+         mixedOnRead: true   // Not a platform image: no range clipping
+      };
+
+      image.getSamples = function(buffer, rect, channel)
+      {
+         var count = (rect.x1 - rect.x0) * (rect.y1 - rect.y0);
+         if (rows.length === 0 || rows[0].length < count)
+         {
+            rows = [];
+            for (var i = 0; i < masters.length; i++)
+               rows.push(new Float32Array(count));
+         }
+         for (var i = 0; i < masters.length; i++)
+            masters[i].getSamples(rows[i], rect, 0);
+         var mixed = [null, null, null];
+         mixed[channel] = buffer;
+         engine.mixPaletteRows(rows, count, mixed);
+      };
+
+      image.sample = function(x, y, channel)
+      {
+         var v = [];
+         for (var i = 0; i < masters.length; i++)
+            v.push(masters[i].sample(x, y, 0));
+         return engine.mixPalettePixel(v)[channel];
+      };
+
+      var gridValues = function()
+      {
+         var step = Math.max(1, Math.ceil(Math.sqrt(width * height / 250000)));
+         var values = new Float32Array(Math.ceil(width / step) * Math.ceil(height / step));
+         var row = new Float32Array(width);
+         var count = 0;
+         for (var y = 0; y < height; y += step)
+         {
+            image.getSamples(row, new Rect(0, y, width, y + 1), image.selectedChannel);
+            for (var x = 0; x < width; x += step)
+               values[count++] = row[x];
+         }
+         return values.subarray(0, count);
+      };
+
+      image.median = function()
+      {
+         var values = gridValues();
+         return selectKth(values, values.length >> 1);
+      };
+
+      image.MAD = function()
+      {
+         var values = gridValues();
+         var median = selectKth(values, values.length >> 1);
+         for (var i = 0; i < values.length; i++)
+            values[i] = Math.abs(values[i] - median);
+         return selectKth(values, values.length >> 1);
+      };
+
+      image.resetSelections = function()
+      {
+         image.selectedChannel = 0;
+      };
+
+      return image;
+   };
+
+   // Write the mixed palette into view's three channels with PixelMath.
+   // Values are kept unclipped, like the masters; throws on failure.
+   this.applyPalettePixelMath = function(view)
+   {
+      var expressions = this.paletteExpressions();
+
+      var P = new PixelMath;
+      P.expression = expressions[0];
+      P.expression1 = expressions[1];
+      P.expression2 = expressions[2];
+      P.useSingleExpression = false;
+      P.createNewImage = false;
+      P.rescale = false;
+      P.truncate = false;
+
+      console.writeln("Mixing the narrowband palette...");
+      if (!P.executeOn(view))
+         throw new Error("PixelMath palette pass failed");
+   };
+
+   // True when a luminance master drives the stretch intensity (LRGB mode)
+   this.usesLuminance = function()
+   {
+      return this.imageL !== null;
+   };
+
+   // Check every input the stretch will read: the RGB image or the three
+   // mono masters, plus the optional luminance master.
+   // Returns an error message, or null if the inputs are usable.
+   this.validateInputs = function(sourceWindow)
+   {
+      var width, height;
+
+      if (this.usesPalette())
+      {
+         var inputError = this.validatePalette();
+         if (inputError !== null) return inputError;
+         width = this.paletteViews[0].image.width;
+         height = this.paletteViews[0].image.height;
+      }
+      else if (this.usesSeparateChannels())
+      {
+         var inputError = this.validateSeparateChannels();
+         if (inputError !== null) return inputError;
+         width = this.imageR.image.width;
+         height = this.imageR.image.height;
+      }
+      else
+      {
+         if (!sourceWindow || sourceWindow.isNull)
+            return "No target image selected";
+         var image = sourceWindow.mainView.image;
+         if (!image || image.numberOfChannels < 3)
+            return "Image must have at least 3 channels (RGB)";
+         width = image.width;
+         height = image.height;
+      }
+
+      if (this.maskView !== null)
+      {
+         if (this.maskView.isNull || !this.maskView.image)
+            return "Mask image is no longer available";
+         var M = this.maskView.image;
+         if (M.width !== width || M.height !== height)
+            return format("Mask '%s' is %d x %d px but the RGB data is %d x %d px",
+                          this.maskView.id, M.width, M.height, width, height);
+      }
+
+      if (this.usesLuminance())
+      {
+         if (this.imageL.isNull || !this.imageL.image)
+            return "Luminance image is no longer available";
+         var L = this.imageL.image;
+         if (L.numberOfChannels !== 1)
+            return "L image '" + this.imageL.id + "' must be a grayscale image";
+         if (L.width !== width || L.height !== height)
+            return format("L image '%s' is %d x %d px but the RGB data is %d x %d px",
+                          this.imageL.id, L.width, L.height, width, height);
+      }
+
+      return null;
+   };
+
+   // Resolve the mask that limits the stretch: the selected mask view, or
+   // else the enabled mask of the target window. Separate masters have no
+   // target window, so only a selected mask applies to them.
+   // Returns { view, inverted, own }, own being true for the window's mask,
+   // or null when the stretch applies everywhere.
+   this.getMask = function(targetWindow)
+   {
+      if (this.maskView !== null)
+         return { view: this.maskView, inverted: this.maskInverted, own: false };
+      if (this.usesSeparateChannels() || !targetWindow || targetWindow.isNull)
+         return null;
+      if (targetWindow.mask.isNull || !targetWindow.maskEnabled)
+         return null;
+      return { view: targetWindow.mask.mainView, inverted: targetWindow.maskInverted, own: true };
+   };
+
+   // Resolve the pixel sources for the three output channels.
+   // Returns { views, images, channels, luminance, mask, maskInverted,
+   // width, height }, where luminance and mask are the Images of the L
+   // master and the mask or null, or null if unusable.
+   this.getInputs = function(sourceWindow)
+   {
+      if (this.validateInputs(sourceWindow) !== null) return null;
+
+      var luminance = this.usesLuminance() ? this.imageL.image : null;
+      var mask = this.getMask(sourceWindow);
+
+      // The stretch reads the mixed palette like an RGB image
+      if (this.usesPalette())
+      {
+         var mixed = this.paletteSource();
+         return {
+            views: this.paletteViews,
+            images: [mixed, mixed, mixed],
+            channels: [0, 1, 2],
+            luminance: luminance,
+            mask: mask ? mask.view.image : null,
+            maskInverted: mask ? mask.inverted : false,
+            width: mixed.width,
+            height: mixed.height
+         };
+      }
+
+      if (this.usesSeparateChannels())
+      {
+         var views = [this.imageR, this.imageG, this.imageB];
+         return {
+            views: views,
+            images: [views[0].image, views[1].image, views[2].image],
+            channels: [0, 0, 0],
+            luminance: luminance,
+            mask: mask ? mask.view.image : null,
+            maskInverted: mask ? mask.inverted : false,
+            width: views[0].image.width,
+            height: views[0].image.height
+         };
+      }
+
+      var view = sourceWindow.mainView;
+      var image = view.image;
+
+      return {
+         views: [view, view, view],
+         images: [image, image, image],
+         channels: [0, 1, 2],
+         luminance: luminance,
+         mask: mask ? mask.view.image : null,
+         maskInverted: mask ? mask.inverted : false,
+         width: image.width,
+         height: image.height
+      };
+   };
+
+   // Read the input (r, g, b) values at image coordinates (x, y)
+   this.readInputPixel = function(inputs, x, y)
+   {
+      return [
+         inputs.images[0].sample(x, y, inputs.channels[0]),
+         inputs.images[1].sample(x, y, inputs.channels[1]),
+         inputs.images[2].sample(x, y, inputs.channels[2])
+      ];
+   };
+
+   // Rescale levels from stretched, unclipped channel samples (three
+   // Float32Arrays, reordered): the rescalePercentile of each channel, or
+   // of max(R,G,B) for all three when linked. Stored in rescaleLevels.
+   this.rescaleLevelsFromSamples = function(samples)
+   {
+      var fraction = Math.min(1, Math.max(0, this.rescalePercentile / 100));
+      var percentile = function(values)
+      {
+         return Math.max(1e-6, selectKth(values, Math.floor(fraction * (values.length - 1))));
+      };
+
+      var levels;
+      if (this.rescaleLinked)
+      {
+         var maxima = new Float32Array(samples[0].length);
+         for (var i = 0; i < maxima.length; i++)
+            maxima[i] = Math.max(samples[0][i], samples[1][i], samples[2][i]);
+         var level = percentile(maxima);
+         levels = [level, level, level];
+      }
+      else
+      {
+         levels = [percentile(samples[0]), percentile(samples[1]), percentile(samples[2])];
+      }
+
+      this.rescaleLevels = levels;
+      return levels;
+   };
+
+   // Rescale levels of a stretched RGB image, from up to about four
+   // million pixels on a regular grid
+   this.measureRescaleLevels = function(image)
+   {
+      var width = image.width;
+      var height = image.height;
+      var step = Math.max(1, Math.ceil(Math.sqrt(width * height / 4000000)));
+      var count = Math.ceil(width / step) * Math.ceil(height / step);
+
+      var samples = [new Float32Array(count), new Float32Array(count), new Float32Array(count)];
+      var row = new Float32Array(width);
+      for (var c = 0; c < 3; c++)
+      {
+         var n = 0;
+         for (var y = 0; y < height; y += step)
+         {
+            image.getSamples(row, new Rect(0, y, width, y + 1), c);
+            for (var x = 0; x < width; x += step)
+               samples[c][n++] = row[x];
+         }
+      }
+
+      return this.rescaleLevelsFromSamples(samples);
+   };
+
+   // Rescale levels of the whole image, from the stretched input on a grid
+   // of about 100000 pixels. A preview stretched in place uses them, so
+   // they match a run on the whole image.
+   this.measureSampledRescaleLevels = function(inputs)
+   {
+      var step = Math.max(1, Math.ceil(Math.sqrt(inputs.width * inputs.height / 100000)));
+      var count = Math.ceil(inputs.width / step) * Math.ceil(inputs.height / step);
+      var samples = [new Float32Array(count), new Float32Array(count), new Float32Array(count)];
+
+      // Unclipped values: processPixel() leaves them alone without levels
+      this.rescaleLevels = null;
+      var rampThreshold = this.saturationRampThreshold();
+      var pedestals = this.pixelPedestals();
+      var n = 0;
+      for (var y = 0; y < inputs.height; y += step)
+      {
+         for (var x = 0; x < inputs.width; x += step)
+         {
+            var p = this.readInputPixel(inputs, x, y);
+            var l = inputs.luminance ? inputs.luminance.sample(x, y, 0) : 0;
+            var out = this.processPixel(p[0], p[1], p[2], l, this.pixelMinima(x, y, pedestals), null, rampThreshold);
+            samples[0][n] = out[0];
+            samples[1][n] = out[1];
+            samples[2][n] = out[2];
+            n++;
+         }
+      }
+
+      return this.rescaleLevelsFromSamples(samples);
+   };
+
+   // Rescale levels for the preview, from the stretched preview cache
+   // (up to about 100000 of its pixels) rather than from the full-resolution
+   // inputs, so rendering does not read the image. The cache covers the
+   // whole image, so the levels do not change with panning; zoomed out,
+   // its box averages soften star cores and noise, so the levels can
+   // differ slightly from those of a full run.
+   this.measureCacheRescaleLevels = function(cache)
+   {
+      var planes = cache.planes;
+      var step = Math.max(1, Math.ceil(Math.sqrt(cache.width * cache.height / 100000)));
+      var count = Math.ceil(cache.width / step) * Math.ceil(cache.height / step);
+      var samples = [new Float32Array(count), new Float32Array(count), new Float32Array(count)];
+
+      // Unclipped values: processPixel() leaves them alone without levels
+      this.rescaleLevels = null;
+      var rampThreshold = this.saturationRampThreshold();
+      var pedestals = this.pixelPedestals();
+      var n = 0;
+      for (var cy = 0; cy < cache.height; cy += step)
+      {
+         for (var cx = 0; cx < cache.width; cx += step)
+         {
+            var i = cy * cache.width + cx;
+            var l = cache.luminance ? cache.luminance[i] : 0;
+            var out = this.processPixel(planes[0][i], planes[1][i], planes[2][i], l,
+                                        this.pixelMinima(cache.x[cx], cache.y[cy], pedestals), null,
+                                        rampThreshold);
+            samples[0][n] = out[0];
+            samples[1][n] = out[1];
+            samples[2][n] = out[2];
+            n++;
+         }
+      }
+
+      return this.rescaleLevelsFromSamples(samples);
+   };
+
+   // Stretched intensity where the saturation ramp starts: the fixed
+   // threshold, or the stretched background level when protecting it
+   this.saturationRampThreshold = function()
+   {
+      if (this.protectBackground && this.usesBackgroundModel() && this.backgroundSurface !== null)
+      {
+         // The background sits at the pedestal above the surface
+         var pedestals = this.backgroundPedestals();
+         var sigmas = this.backgroundSurface.sigmas;
+         var floor = this.stretchPixel(pedestals[0] + 3 * sigmas[0], pedestals[1] + 3 * sigmas[1],
+                                       pedestals[2] + 3 * sigmas[2], pedestals[3] + 3 * sigmas[3], [0, 0, 0, 0]);
+         return (floor[0] + floor[1] + floor[2]) / 3;
+      }
+      if (this.protectBackground && this.backgroundLevels !== null)
+      {
+         var bg = this.backgroundLevels;
+         var stretched = this.stretchPixel(bg[0], bg[1], bg[2], bg[3]);
+         return (stretched[0] + stretched[1] + stretched[2]) / 3;
+      }
+      return this.saturationThreshold;
+   };
+
+   // Fraction (0-1) of the saturation boost applied to a stretched pixel.
+   // Ramps smoothly from 0 at the threshold to 1 at threshold + softness;
+   // always 1 when the ramp is off. threshold is saturationRampThreshold(),
+   // which pixel loops compute once and pass in; it is computed here
+   // when omitted.
+   this.saturationWeight = function(stretched, threshold)
+   {
+      if (!this.saturationRamp) return 1;
+
+      if (threshold === undefined)
+         threshold = this.saturationRampThreshold();
+      var Is = (stretched[0] + stretched[1] + stretched[2]) / 3;
+      var u = (Is - threshold) / Math.max(0.001, this.saturationSoftness);
+      u = Math.min(1, Math.max(0, u));
+      return u * u * (3 - 2 * u);
+   };
+
+   // PixelMath version of saturationWeight() for the stretched pixel $T
+   this.saturationWeightExpression = function()
+   {
+      if (!this.saturationRamp) return "1";
+
+      var Is = "($T[0]+$T[1]+$T[2])/3";
+      var u = "min(1,max(0,(" + Is + "-(" + this.saturationRampThreshold() + "))/" +
+              Math.max(0.001, this.saturationSoftness) + "))";
+      return "(" + u + "*" + u + "*(3-2*" + u + "))";
+   };
+
+   // Measure a background level per input channel (and L in LRGB mode)
+   // as median + 3 sigma of the sigma-clipped background. Stored in
+   // backgroundLevels for protectBackground.
+   this.measureBackground = function(inputs)
+   {
+      var images = [inputs.images[0], inputs.images[1], inputs.images[2], inputs.luminance];
+      var channels = [inputs.channels[0], inputs.channels[1], inputs.channels[2], 0];
+      var levels = [0, 0, 0, 0];
+
+      for (var i = 0; i < 4; i++)
+      {
+         if (!images[i]) continue;
+         var stats = this.backgroundStatistics(images[i], channels[i]);
+         if (stats !== null)
+            levels[i] = stats.median + 3 * stats.sigma;
+      }
+
+      this.backgroundLevels = levels;
+      return levels;
+   };
+
+   // Median and normalized MAD (1.4826 MAD) of each input channel over the
+   // whole image, for the AutoSTF Before view
+   this.measureDisplayStatistics = function(inputs)
+   {
+      var statistics = [];
+      for (var c = 0; c < 3; c++)
+      {
+         var image = inputs.images[c];
+         image.selectedChannel = inputs.channels[c];
+         statistics.push([image.median(), 1.4826 * image.MAD()]);
+         image.resetSelections();
+      }
+
+      this.displayStatistics = statistics;
+      return statistics;
+   };
+
+   // Screen transfer functions [shadows, midtones, highlights] of the R, G
+   // and B inputs for the Before view. Linked AutoSTF averages the clipping
+   // points and medians of the channels, so it keeps their color balance;
+   // unlinked AutoSTF neutralizes the background of each channel.
+   this.beforeTransfer = function(inputs)
+   {
+      if (this.beforeView === 2)
+      {
+         var stf = [this.htShadows, this.htMidtones, this.htHighlights];
+         return [stf, stf, stf];
+      }
+
+      var statistics = this.displayStatistics;
+      if (statistics === null)
+         statistics = this.measureDisplayStatistics(inputs);
+
+      if (this.beforeView === 1)
+         return [autoSTFChannel(statistics[0][0], statistics[0][1]),
+                 autoSTFChannel(statistics[1][0], statistics[1][1]),
+                 autoSTFChannel(statistics[2][0], statistics[2][1])];
+
+      var linked = this.linkedAutoSTF(statistics);
+      return [linked, linked, linked];
+   };
+
+   // Linked AutoSTF [shadows, midtones, highlights]: one transfer function
+   // from the mean median and mean normalized MAD of the channels
+   this.linkedAutoSTF = function(statistics)
+   {
+      var median = (statistics[0][0] + statistics[1][0] + statistics[2][0]) / 3;
+      var mad = (statistics[0][1] + statistics[1][1] + statistics[2][1]) / 3;
+      return autoSTFChannel(median, mad);
+   };
+
+   // Display of an unprocessed pixel through the Before view transfer
+   // functions from beforeTransfer()
+   this.beforePixel = function(r, g, b, transfer)
+   {
+      return [screenTransfer(transfer[0], r), screenTransfer(transfer[1], g), screenTransfer(transfer[2], b)];
+   };
+
+   // Blend a stretched pixel at (x, y) with its linear input through the
+   // mask: white takes the stretched value, black keeps the linear one
+   this.maskPixel = function(inputs, x, y, stretched, linear)
+   {
+      if (!inputs.mask) return stretched;
+
+      var out = [0, 0, 0];
+      for (var c = 0; c < 3; c++)
+      {
+         var m = inputs.mask.sample(x, y, Math.min(c, inputs.mask.numberOfChannels - 1));
+         if (inputs.maskInverted) m = 1 - m;
+         out[c] = m * stretched[c] + (1 - m) * linear[c];
+      }
+      return out;
+   };
+
+   // Stretch function F(x) of the selected registry entry (0 for x <= 0)
+   this.F = function(x)
+   {
+      if (x <= 0) return 0;
+      return findStretchFunction(this.stretchFunction).evaluate(x, this);
+   };
+
+   // PixelMath expression of F applied to expression x
+   this.stretchExpression = function(x)
+   {
+      return findStretchFunction(this.stretchFunction).expression("max(0," + x + ")", this);
+   };
+
+   // Human-readable summary of the stretch function and its parameters
+   this.describeStretch = function()
+   {
+      var fn = findStretchFunction(this.stretchFunction);
+      var items = [];
+      for (var i = 0; i < fn.parameters.length; i++)
+         items.push(fn.parameters[i].key + "=" + format("%.4g", this[fn.parameters[i].key]));
+      return fn.name + " (" + items.join(", ") + ")";
+   };
+
+   // Linear intensity coefficients [cR, cG, cB] for the current mode, or
+   // null in Max mode. Custom coefficients are normalized to sum to one.
+   this.intensityCoefficients = function()
+   {
+      switch (this.intensityMode)
+      {
+         case 1: // Rec.709 / sRGB luminance
+            return [0.2126, 0.7152, 0.0722];
+         case 2: // Max(R,G,B)
+            return null;
+         case 3: // Custom
+            var sum = this.intensityR + this.intensityG + this.intensityB;
+            if (sum > 1e-6)
+               return [this.intensityR / sum, this.intensityG / sum, this.intensityB / sum];
+            return [1 / 3, 1 / 3, 1 / 3];
+         default: // Mean
+            return [1 / 3, 1 / 3, 1 / 3];
+      }
+   };
+
+   // Intensity of black-point subtracted, band-weighted channel values
+   this.computeIntensity = function(r, g, b)
+   {
+      var c = this.intensityCoefficients();
+      if (c === null)
+         return Math.max(r, g, b);
+      return c[0] * r + c[1] * g + c[2] * b;
+   };
+
+   // PixelMath equivalent of computeIntensity() for channel expressions
+   this.intensityExpression = function(exprR, exprG, exprB)
+   {
+      var c = this.intensityCoefficients();
+      if (c === null)
+         return "max(" + exprR + ",max(" + exprG + "," + exprB + "))";
+      return "(" + c[0] + "*" + exprR + "+" + c[1] + "*" + exprG + "+" + c[2] + "*" + exprB + ")";
+   };
+
+   // True when the color matrix calibrates the linear channels. Astropy
+   // mode has no calibration stage.
+   this.usesColorMatrix = function()
+   {
+      return this.colorCalibration && !this.astropyCompatible;
+   };
+
+   // The color matrix applied to weighted channel values (r, g, b)
+   this.applyColorMatrix = function(r, g, b)
+   {
+      var M = this.colorMatrix;
+      return [
+         M[0][0] * r + M[0][1] * g + M[0][2] * b,
+         M[1][0] * r + M[1][1] * g + M[1][2] * b,
+         M[2][0] * r + M[2][1] * g + M[2][2] * b
+      ];
+   };
+
+   // PixelMath statements defining the symbols ccR, ccG and ccB as the
+   // color matrix applied to channel expressions exprR, exprG and exprB
+   this.colorMatrixStatements = function(exprR, exprG, exprB)
+   {
+      var names = ["ccR", "ccG", "ccB"];
+      var statements = "";
+      for (var i = 0; i < 3; i++)
+      {
+         var row = this.colorMatrix[i];
+         statements += names[i] + " = (" + row[0] + ")*" + exprR + "+(" + row[1] + ")*" + exprG +
+                       "+(" + row[2] + ")*" + exprB + "; ";
+      }
+      return statements;
+   };
+
+   // The color matrix as "[a b c; d e f; g h i]" for the console and the
+   // history
+   this.describeColorMatrix = function()
+   {
+      var rows = [];
+      for (var i = 0; i < 3; i++)
+         rows.push(format("%.4f %.4f %.4f", this.colorMatrix[i][0], this.colorMatrix[i][1], this.colorMatrix[i][2]));
+      return "[" + rows.join("; ") + "]";
+   };
+
+   // Check that matrix (default colorMatrix) is a 3x3 matrix of finite
+   // numbers within +/-ColorMatrixLimit.
+   // Returns an error message, or null if it can be applied.
+   this.validateColorMatrix = function(matrix)
+   {
+      var M = (matrix === undefined) ? this.colorMatrix : matrix;
+      if (!(M instanceof Array) || M.length !== 3)
+         return "The color matrix must have three rows";
+      for (var i = 0; i < 3; i++)
+      {
+         if (!(M[i] instanceof Array) || M[i].length !== 3)
+            return "Each color matrix row needs three values";
+         for (var j = 0; j < 3; j++)
+         {
+            if (typeof M[i][j] !== "number" || !isFinite(M[i][j]))
+               return format("Color matrix element (%d, %d) is not a number", i + 1, j + 1);
+            if (Math.abs(M[i][j]) > ColorMatrixLimit)
+               return format("Color matrix element (%d, %d) = %.4g is outside -%d to %d", i + 1, j + 1, M[i][j],
+                             ColorMatrixLimit, ColorMatrixLimit);
+         }
+      }
+      return null;
+   };
+
+   // Weighted pedestal direction [r, g, b] that the color matrix maps to
+   // gray: M^-1 (1, 1, 1), or (1, 1, 1) without the matrix. Returns null
+   // when the matrix is singular or no pedestals of positive levels come
+   // out gray (a component of the direction <= 0).
+   this.neutralPedestalDirection = function()
+   {
+      if (!this.usesColorMatrix())
+         return [1, 1, 1];
+
+      // Cramer's rule on M u = (1, 1, 1)
+      var M = this.colorMatrix;
+      var det3 = function(a, b, c)
+      {
+         return a[0] * (b[1] * c[2] - b[2] * c[1]) - a[1] * (b[0] * c[2] - b[2] * c[0]) +
+                a[2] * (b[0] * c[1] - b[1] * c[0]);
+      };
+      var det = det3(M[0], M[1], M[2]);
+      if (Math.abs(det) < 1e-12) return null;
+
+      var direction = [];
+      for (var j = 0; j < 3; j++)
+      {
+         var rows = [M[0].slice(), M[1].slice(), M[2].slice()];
+         for (var i = 0; i < 3; i++)
+            rows[i][j] = 1;
+         var u = det3(rows[0], rows[1], rows[2]) / det;
+         if (!(u > 0)) return null;
+         direction.push(u);
+      }
+      return direction;
+   };
+
+   // Load colorMatrix from a text or JSON file (see parseColorMatrix()).
+   // Returns an error message, or null if the matrix was loaded.
+   this.loadColorMatrix = function(path)
+   {
+      var text;
+      try
+      {
+         text = File.readTextFile(path);
+      }
+      catch (e)
+      {
+         return "Cannot read '" + path + "': " + e.message;
+      }
+
+      var matrix = parseColorMatrix(text);
+      if (matrix === null)
+         return "'" + path + "' holds no 3x3 color matrix";
+      var matrixError = this.validateColorMatrix(matrix);
+      if (matrixError !== null)
+         return "'" + path + "': " + matrixError;
+      this.colorMatrix = matrix;
+      return null;
+   };
+
+   // Per-band minima [R, G, B] (astropy's "minimum")
+   this.channelMinima = function()
+   {
+      if (this.linkedChannels)
+         return [this.blackPoint, this.blackPoint, this.blackPoint];
+      return [this.blackR, this.blackG, this.blackB];
+   };
+
+   // Check that alpha and Q can be solved for with the selected stretch.
+   // Returns an error message, or null if solveAutoStretch() can run.
+   this.validateAutoStretch = function()
+   {
+      if (this.astropyCompatible)
+         return "Auto stretch is not available in astropy compatibility mode";
+      if (this.stretchFunction !== "asinh")
+         return "Auto stretch solves the arcsinh \u03B1 and Q; select the Arcsinh (Lupton) stretch function";
+      return null;
+   };
+
+   // Solve the arcsinh alpha and Q from input statistics. Alpha puts the
+   // stretched sky background (the median stretch input) at
+   // autoStretchBackground; Q is the smallest value, so the most linear
+   // response, that lets at most autoStretchClipping of the pixels reach
+   // Preserve Color clipping. Saturation is not taken into account.
+   // Statistics come from about 50000 pixels on a grid, after the black
+   // points or background model and band weights. Sets stretch and Q;
+   // returns { stretch, Q, clipped }, or null without usable pixels.
+   this.solveAutoStretch = function(inputs)
+   {
+      var step = Math.max(1, Math.ceil(Math.sqrt(inputs.width * inputs.height / 50000)));
+      var size = Math.ceil(inputs.width / step) * Math.ceil(inputs.height / step);
+      var stretchInput = new Float32Array(size);  // Ieff, what F is applied to
+      var peakRatio = new Float32Array(size);     // max(R,G,B)/I, clipping channel per unit scale
+      var meanRatio = new Float32Array(size);     // mean(R,G,B)/I, display level per unit scale
+      var pedestals = this.pixelPedestals();
+      var count = 0;
+      for (var y = 0; y < inputs.height; y += step)
+      {
+         for (var x = 0; x < inputs.width; x += step)
+         {
+            var rgb = this.readInputPixel(inputs, x, y);
+            var l = inputs.luminance ? inputs.luminance.sample(x, y, 0) : 0;
+            var p = this.linearPixel(rgb[0], rgb[1], rgb[2], l, this.pixelMinima(x, y, pedestals));
+            if (p[3] <= 1e-10 || p[4] <= 0) continue;
+            stretchInput[count] = p[4];
+            peakRatio[count] = Math.max(p[0], p[1], p[2]) / p[3];
+            meanRatio[count] = (p[0] + p[1] + p[2]) / 3 / p[3];
+            count++;
+         }
+      }
+      if (count === 0)
+      {
+         console.warningln("Auto stretch: no pixels above the black point");
+         return null;
+      }
+
+      // Sky background: median stretch input and display ratio
+      var background = selectKth(new Float32Array(stretchInput.subarray(0, count)), count >> 1);
+      var ratio = selectKth(new Float32Array(meanRatio.subarray(0, count)), count >> 1);
+      var target = this.autoStretchBackground;
+
+      // F(background) * ratio = target  =>  alpha = sinh(target*Q/ratio) / (Q*background)
+      var alphaFor = function(Q)
+      {
+         return Math.min(1000, Math.max(0.1, Math.sinh(target * Q / ratio) / (Q * background)));
+      };
+      var clippedFor = function(Q)
+      {
+         var alphaQ = alphaFor(Q) * Q;
+         var clipped = 0;
+         for (var i = 0; i < count; i++)
+            if (Math.asinh(alphaQ * stretchInput[i]) / Q * peakRatio[i] > 1)
+               clipped++;
+         return clipped / count;
+      };
+
+      // Fewer pixels clip as Q grows; bisect on log Q for the smallest Q
+      // within the allowance
+      var minQ = 0.05;
+      var maxQ = 30;
+      var Q;
+      if (clippedFor(minQ) <= this.autoStretchClipping)
+      {
+         Q = minQ;
+      }
+      else if (clippedFor(maxQ) > this.autoStretchClipping)
+      {
+         Q = maxQ;
+         console.warningln(format("Auto stretch: more than %.3f%% of the pixels clip even at Q=%.0f",
+                                  this.autoStretchClipping * 100, maxQ));
+      }
+      else
+      {
+         var low = Math.log(minQ);
+         var high = Math.log(maxQ);
+         for (var iteration = 0; iteration < 30; iteration++)
+         {
+            var mid = (low + high) / 2;
+            if (clippedFor(Math.exp(mid)) <= this.autoStretchClipping)
+               high = mid;
+            else
+               low = mid;
+         }
+         Q = Math.exp(high);
+      }
+
+      // Round to the precision of the dialog controls, alpha after Q
+      Q = Math.max(minQ, Math.round(Q * 100) / 100);
+      var alpha = Math.round(alphaFor(Q) * 100) / 100;
+      if (alpha <= 0.1 || alpha >= 1000)
+         console.warningln(format("Auto stretch: \u03B1 limited to %.2f; the background target is not reached", alpha));
+
+      this.stretch = alpha;
+      this.Q = Q;
+      var result = { stretch: alpha, Q: Q, clipped: clippedFor(Q) };
+      console.writeln(format("Auto stretch: \u03B1=%.2f, Q=%.2f (sky %.3f, %.4f%% of pixels clipped)",
+                             alpha, Q, target, result.clipped * 100));
+      return result;
+   };
+
+   // True when alpha and Q follow the physical parameters (arcsinh stretch
+   // outside astropy mode)
+   this.usesPhysicalParameters = function()
+   {
+      return this.physicalParameters && this.stretchFunction === "asinh" && !this.astropyCompatible;
+   };
+
+   // Measure the background noise sigma of each input channel (and L in
+   // LRGB mode): from the background model samples when it is used, from
+   // sigma-clipped statistics otherwise. Stored in channelNoise.
+   this.measureNoise = function(inputs)
+   {
+      var noise = [0, 0, 0, 0];
+      if (this.usesBackgroundModel() && this.backgroundSurface !== null)
+      {
+         noise = this.backgroundSurface.sigmas.slice();
+      }
+      else
+      {
+         var images = [inputs.images[0], inputs.images[1], inputs.images[2], inputs.luminance];
+         var channels = [inputs.channels[0], inputs.channels[1], inputs.channels[2], 0];
+         for (var i = 0; i < 4; i++)
+         {
+            if (!images[i]) continue;
+            var stats = this.backgroundStatistics(images[i], channels[i]);
+            if (stats !== null)
+               noise[i] = stats.sigma;
+         }
+      }
+
+      this.channelNoise = noise;
+      return noise;
+   };
+
+   // Noise sigma of the stretch input Ieff: the channel noise through the
+   // band weights, color matrix and intensity coefficients (independent
+   // channels), and blended with the L noise in LRGB mode. 0 if not
+   // measured.
+   this.intensityNoise = function()
+   {
+      if (this.channelNoise === null) return 0;
+
+      var n = this.channelNoise;
+      var w = [n[0] * this.weightR, n[1] * this.weightG, n[2] * this.weightB];
+      var M = this.usesColorMatrix() ? this.colorMatrix : identityColorMatrix();
+      var c = this.intensityCoefficients();
+      var sigma = 0;
+      if (c === null)
+      {
+         // Max mode: the noisiest calibrated channel
+         for (var i = 0; i < 3; i++)
+            sigma = Math.max(sigma, Math.sqrt(Math.pow(M[i][0] * w[0], 2) + Math.pow(M[i][1] * w[1], 2) +
+                                              Math.pow(M[i][2] * w[2], 2)));
+      }
+      else
+      {
+         // Through the matrix band j enters I with sum_i c[i]*M[i][j]
+         for (var j = 0; j < 3; j++)
+            sigma += Math.pow((c[0] * M[0][j] + c[1] * M[1][j] + c[2] * M[2][j]) * w[j], 2);
+         sigma = Math.sqrt(sigma);
+      }
+      if (this.usesLuminance())
+      {
+         var blend = this.luminanceBlend;
+         sigma = Math.sqrt(Math.pow((1 - blend) * sigma, 2) + Math.pow(blend * n[3], 2));
+      }
+      return sigma;
+   };
+
+   // Physical parameters of the current alpha and Q. With F(x) =
+   // asinh(alpha*Q*x)/Q the response is linear up to about 1/(alpha*Q),
+   // the softening, expressed in multiples of the noise; the reference
+   // flux maps to F(referenceFlux). Sets softeningWidth and
+   // referenceBrightness; returns false when Q <= 0 or no noise is known.
+   this.physicalFromStretch = function()
+   {
+      var sigma = this.intensityNoise();
+      if (this.Q <= 0 || sigma <= 0) return false;
+
+      var Q = luptonSafeQ(this.Q);
+      this.softeningWidth = 1 / (this.stretch * Q * sigma);
+      this.referenceBrightness = Math.asinh(this.stretch * Q * this.referenceFlux) / Q;
+      return true;
+   };
+
+   // Alpha and Q of the physical parameters: alpha*Q = 1/(softeningWidth *
+   // sigma) and Q = asinh(referenceFlux*alpha*Q) / referenceBrightness,
+   // limited to the control ranges. Returns false when no noise is known.
+   this.stretchFromPhysical = function()
+   {
+      var sigma = this.intensityNoise();
+      if (sigma <= 0) return false;
+
+      var alphaQ = 1 / (Math.max(1e-6, this.softeningWidth) * sigma);
+      var Q = Math.asinh(alphaQ * this.referenceFlux) / Math.max(1e-6, this.referenceBrightness);
+      var alpha = alphaQ / Q;
+      var limitedQ = Math.min(30, Math.max(0.01, Q));
+      var limitedAlpha = Math.min(1000, Math.max(0.1, alpha));
+      if (limitedQ !== Q || limitedAlpha !== alpha)
+         console.warningln(format("Physical parameters: \u03B1=%.4g, Q=%.4g limited to \u03B1=%.4g, Q=%.4g",
+                                  alpha, Q, limitedAlpha, limitedQ));
+
+      this.stretch = limitedAlpha;
+      this.Q = limitedQ;
+      return true;
+   };
+
+   // Check parameter values the selected mode cannot handle.
+   // Returns an error message, or null if the parameters are usable.
+   this.validateParameters = function()
+   {
+      if (this.usesColorMatrix())
+      {
+         var matrixError = this.validateColorMatrix();
+         if (matrixError !== null)
+            return matrixError;
+      }
+      if (this.autoStretch)
+      {
+         var autoError = this.validateAutoStretch();
+         if (autoError !== null)
+            return autoError;
+      }
+      if (this.astropyCompatible)
+      {
+         if (this.Q < 0)
+            return "Astropy compatibility mode requires Q >= 0";
+         if (this.stretch <= 0)
+            return "Astropy compatibility mode requires stretch > 0";
+      }
+      return null;
+   };
+
+   // Astropy compatibility mode: stretch and Q take astropy's meaning
+   // (I*Q/stretch), and band weights, intensity mode, stretch function,
+   // LRGB, saturation and clipping mode are bypassed
+   this.processPixelAstropy = function(r, g, b)
+   {
+      var levels = astropyLuptonPixel(r, g, b, this.channelMinima(), this.stretch, Math.max(0, this.Q));
+      return [levels[0] / 255, levels[1] / 255, levels[2] / 255];
+   };
+
+   // Run AstropyTestVectors through both compatibility paths: the
+   // astropyLuptonPixel() helper of the preview, and the PixelMath pass of
+   // applyAstropyPixelMath() on a temporary one-pixel image. Returns
+   // { passed, failed }: the vectors both paths reproduce, and descriptions
+   // of the mismatches.
+   this.checkAstropyCompatibility = function()
+   {
+      var count = AstropyTestVectors.length;
+      var checkWindow = new ImageWindow(1, 1, 3, 32, true, true, "LuptonAstropyCheck");
+      var image = checkWindow.mainView.image;
+      var pixelMath = [];
+      try
+      {
+         checkWindow.mainView.beginProcess(UndoFlag_NoSwapFile);
+         try
+         {
+            for (var i = 0; i < count; i++)
+            {
+               var v = AstropyTestVectors[i];
+               var minimum = (typeof v.minimum === "number") ? [v.minimum, v.minimum, v.minimum] : v.minimum;
+               for (var c = 0; c < 3; c++)
+                  image.setSample(v.input[c], 0, 0, c);
+               var P = new PixelMath;
+               var expressions = this.astropyExpressions(["$T[0]", "$T[1]", "$T[2]"], minimum, v.stretch, v.Q);
+               P.expression = expressions[0];
+               P.expression1 = expressions[1];
+               P.expression2 = expressions[2];
+               P.useSingleExpression = false;
+               P.createNewImage = false;
+               P.rescale = false;
+               P.truncate = true;
+               if (!P.executeOn(checkWindow.mainView, false))
+                  throw new Error("PixelMath astropy pass failed");
+               pixelMath.push([Math.round(image.sample(0, 0, 0) * 255), Math.round(image.sample(0, 0, 1) * 255),
+                               Math.round(image.sample(0, 0, 2) * 255)]);
+            }
+         }
+         finally
+         {
+            checkWindow.mainView.endProcess();
+         }
+      }
+      finally
+      {
+         checkWindow.forceClose();
+      }
+
+      var passed = 0;
+      var failed = [];
+      var matches = function(levels, output)
+      {
+         return levels[0] === output[0] && levels[1] === output[1] && levels[2] === output[2];
+      };
+      for (var i = 0; i < count; i++)
+      {
+         var v = AstropyTestVectors[i];
+         var minimum = (typeof v.minimum === "number") ? [v.minimum, v.minimum, v.minimum] : v.minimum;
+         var levels = astropyLuptonPixel(v.input[0], v.input[1], v.input[2], minimum, v.stretch, v.Q);
+         var ok = true;
+         if (!matches(levels, v.output))
+         {
+            ok = false;
+            failed.push(format("vector %d (preview): expected [%d, %d, %d], got [%d, %d, %d]", i,
+                               v.output[0], v.output[1], v.output[2], levels[0], levels[1], levels[2]));
+         }
+         if (!matches(pixelMath[i], v.output))
+         {
+            ok = false;
+            failed.push(format("vector %d (PixelMath): expected [%d, %d, %d], got [%d, %d, %d]", i,
+                               v.output[0], v.output[1], v.output[2], pixelMath[i][0], pixelMath[i][1],
+                               pixelMath[i][2]));
+         }
+         if (ok)
+            passed++;
+      }
+      return { passed: passed, failed: failed };
+   };
+
+   // Run checkAstropyCompatibility() and report the result in the console.
+   // Returns the result of the check. The dialog runs it when the mode is
+   // turned on; execute() does not, to keep the temporary image and its
+   // PixelMath passes out of every run.
+   this.reportAstropyCompatibility = function()
+   {
+      var check = this.checkAstropyCompatibility();
+      console.writeln(format("Astropy compatibility self-test: %d of %d reference vectors match",
+                             check.passed, AstropyTestVectors.length));
+      for (var i = 0; i < check.failed.length; i++)
+         console.warningln("Astropy compatibility " + check.failed[i]);
+      return check;
+   };
+
+   // Steps 1-2 of processPixel(): [R, G, B, I, Ieff] with the black-point
+   // subtracted, band-weighted channels, their intensity I and the
+   // intensity Ieff the stretch function is applied to
+   this.linearPixel = function(r, g, b, l, minima)
+   {
+      var minR, minG, minB, minL;
+      if (minima)
+      {
+         minR = minima[0];
+         minG = minima[1];
+         minB = minima[2];
+         minL = minima[3];
+      }
+      else
+      {
+         minR = this.linkedChannels ? this.blackPoint : this.blackR;
+         minG = this.linkedChannels ? this.blackPoint : this.blackG;
+         minB = this.linkedChannels ? this.blackPoint : this.blackB;
+         minL = this.blackL;
+      }
+
+      // Step 1: Subtract per-channel black points and apply band weights
+      // (Lupton et al. calibrate each band before forming the intensity),
+      // then the color matrix
+      var rIn = (r - minR) * this.weightR;
+      var gIn = (g - minG) * this.weightG;
+      var bIn = (b - minB) * this.weightB;
+      if (this.usesColorMatrix())
+      {
+         var calibrated = this.applyColorMatrix(rIn, gIn, bIn);
+         rIn = calibrated[0];
+         gIn = calibrated[1];
+         bIn = calibrated[2];
+      }
+
+      // Step 2: Compute intensity. In LRGB mode the stretched intensity
+      // comes from a blend of I and the L master.
+      var I = this.computeIntensity(rIn, gIn, bIn);
+      var Ieff = I;
+      if (this.usesLuminance())
+         Ieff = (1 - this.luminanceBlend) * I + this.luminanceBlend * (l - minL);
+
+      return [rIn, gIn, bIn, I, Ieff];
+   };
+
+   // Steps 1-4 of processPixel(): the stretched (r, g, b) before
+   // saturation and clipping. status, if given, gets the crushed flag
+   // (see ClippingIndicators) added to status.flags.
+   this.stretchPixel = function(r, g, b, l, minima, status)
+   {
+      var p = this.linearPixel(r, g, b, l, minima);
+
+      // Step 3: Compute scale factor using the stretch function. Dividing
+      // by the RGB intensity keeps the color ratios from RGB in LRGB mode.
+      var scale = 0;
+      var epsilon = 1e-10;
+      if (p[3] > epsilon)
+         scale = this.F(p[4]) / p[3];
+
+      if (status && (p[0] <= 0 || p[1] <= 0 || p[2] <= 0 || p[3] <= epsilon))
+         status.flags |= 2;
+
+      // Step 4: Apply scale to each channel (clamped at 0, as PixelMath pass 1)
+      return [Math.max(0, p[0] * scale), Math.max(0, p[1] * scale), Math.max(0, p[2] * scale)];
+   };
+
+   // Process a single pixel (r, g, b values 0-1; l is the luminance
+   // master value, only used in LRGB mode). minima optionally holds the
+   // [r, g, b, l] minima from pixelMinima(); the black points otherwise.
+   // status, if given, receives status.flags: the ClippingIndicators
+   // flags of the pixel (always 0 in astropy compatibility mode).
+   // rampThreshold is passed on to saturationWeight().
+   this.processPixel = function(r, g, b, l, minima, status, rampThreshold)
+   {
+      if (status) status.flags = 0;
+      if (this.astropyCompatible)
+         return this.processPixelAstropy(r, g, b);
+
+      var stretched = this.stretchPixel(r, g, b, l, minima, status);
+      var rOut = stretched[0];
+      var gOut = stretched[1];
+      var bOut = stretched[2];
+
+      // Step 5: Apply saturation boost with the selected model, ramped by
+      // the stretched intensity if enabled
+      if (Math.abs(this.saturation - 1.0) > 1e-6)
+      {
+         var sat = 1 + (this.saturation - 1) * this.saturationWeight(stretched, rampThreshold);
+         var saturated = findSaturationModel(this.saturationModel).apply(stretched, sat);
+         rOut = saturated[0];
+         gOut = saturated[1];
+         bOut = saturated[2];
+         if (status && (rOut < 0 || gOut < 0 || bOut < 0))
+            status.flags |= 4;
+      }
+
+      // Step 6: Handle clipping based on mode. Soft Knee compresses
+      // without ever reaching 1.0, so it marks nothing as clipped.
+      if (status && this.clippingMode !== 3)
+      {
+         var levels = (this.clippingMode === 2) ? this.rescaleLevels : [1.0, 1.0, 1.0];
+         if (levels !== null && (rOut > levels[0] || gOut > levels[1] || bOut > levels[2]))
+            status.flags |= 1;
+      }
+      switch (this.clippingMode)
+      {
+         case 0: // Preserve Color (Lupton)
+            var maxVal = Math.max(rOut, gOut, bOut);
+            if (maxVal > 1.0)
+            {
+               rOut /= maxVal;
+               gOut /= maxVal;
+               bOut /= maxVal;
+            }
+            break;
+         case 1: // Hard Clip
+            rOut = Math.min(1.0, Math.max(0, rOut));
+            gOut = Math.min(1.0, Math.max(0, gOut));
+            bOut = Math.min(1.0, Math.max(0, bOut));
+            break;
+         case 2: // Rescale: divide by the percentile levels measured at image level
+            if (this.rescaleLevels !== null)
+            {
+               rOut = Math.min(1.0, rOut / this.rescaleLevels[0]);
+               gOut = Math.min(1.0, gOut / this.rescaleLevels[1]);
+               bOut = Math.min(1.0, bOut / this.rescaleLevels[2]);
+            }
+            break;
+         case 3: // Soft Knee: compress max(R,G,B) smoothly toward 1, keeping color ratios
+            var maxIn = Math.max(rOut, gOut, bOut);
+            var knee = this.clippingKnee;
+            if (maxIn > knee)
+            {
+               var width = 1 - knee;
+               var kneeScale = (knee + width * (1 - Math.exp(-(maxIn - knee) / width))) / maxIn;
+               rOut *= kneeScale;
+               gOut *= kneeScale;
+               bOut *= kneeScale;
+            }
+            break;
+         case 4: // Blend to White: desaturate toward max(R,G,B) approaching clipping
+            var maxC = Math.max(rOut, gOut, bOut);
+            var t = Math.min(1, Math.max(0, (maxC - this.clippingKnee) / (1 - this.clippingKnee)));
+            t = t * t * (3 - 2 * t);
+            rOut = Math.min(1.0, rOut + (maxC - rOut) * t);
+            gOut = Math.min(1.0, gOut + (maxC - gOut) * t);
+            bOut = Math.min(1.0, bOut + (maxC - bOut) * t);
+            break;
+      }
+
+      // Clamp negative values
+      rOut = Math.max(0, rOut);
+      gOut = Math.max(0, gOut);
+      bOut = Math.max(0, bOut);
+
+      return [rOut, gOut, bOut];
+   };
+
+   // Sigma-clipped background statistics of one image channel. Zero
+   // samples (registration borders) are ignored; samples beyond 3 sigma of
+   // the median are rejected until the clipping range settles. The
+   // platform's median() and MAD() do the work, with range clipping
+   // excluding the zeros and then the rejected samples. Returns
+   // { median, sigma } with sigma = 1.4826 * MAD, or null if the channel
+   // has no nonzero pixels.
+   this.backgroundStatistics = function(image, channel)
+   {
+      if (image.mixedOnRead)
+         return this.sampledBackgroundStatistics(image, channel);
+
+      image.selectedChannel = channel;
+      try
+      {
+         var maximum = image.maximum();
+         if (!(maximum > 0)) return null;
+
+         // Range clipping excludes samples at or outside the bounds
+         image.rangeClipLow = 0;
+         image.rangeClipHigh = maximum + 1;
+         image.rangeClippingEnabled = true;
+
+         var median = 0;
+         var sigma = 0;
+         for (var iteration = 0; iteration < 10; iteration++)
+         {
+            median = image.median();
+            sigma = 1.4826 * image.MAD();
+            var low = Math.max(0, median - 3 * sigma);
+            var high = median + 3 * sigma;
+            if (sigma <= 0 || (low === image.rangeClipLow && high === image.rangeClipHigh)) break;
+            image.rangeClipLow = low;
+            image.rangeClipHigh = high;
+         }
+         return { median: median, sigma: sigma };
+      }
+      finally
+      {
+         image.rangeClippingEnabled = false;
+         image.resetSelections();
+      }
+   };
+
+   // backgroundStatistics() of the mixed palette. paletteSource() mixes
+   // it as it is read and is not a platform image, so this estimates the
+   // same statistics in script from up to about 250000 pixels on a
+   // regular grid.
+   this.sampledBackgroundStatistics = function(image, channel)
+   {
+      var width = image.width;
+      var height = image.height;
+      var step = Math.max(1, Math.ceil(Math.sqrt(width * height / 250000)));
+
+      var samples = new Float32Array(Math.ceil(width / step) * Math.ceil(height / step));
+      var row = new Float32Array(width);
+      var count = 0;
+      for (var y = 0; y < height; y += step)
+      {
+         image.getSamples(row, new Rect(0, y, width, y + 1), channel);
+         for (var x = 0; x < width; x += step)
+            if (row[x] > 0)
+               samples[count++] = row[x];
+      }
+      if (count === 0) return null;
+
+      var median = 0;
+      var sigma = 0;
+      var deviations = new Float32Array(count);
+      for (var iteration = 0; iteration < 10; iteration++)
+      {
+         var values = samples.subarray(0, count);
+         median = selectKth(values, count >> 1);
+         for (var i = 0; i < count; i++)
+            deviations[i] = Math.abs(values[i] - median);
+         sigma = 1.4826 * selectKth(deviations.subarray(0, count), count >> 1);
+
+         // Keep the samples within 3 sigma, compacted at the front
+         var kept = 0;
+         for (var i = 0; i < count; i++)
+            if (Math.abs(samples[i] - median) <= 3 * sigma)
+               samples[kept++] = samples[i];
+         if (kept === count || kept === 0) break;
+         count = kept;
+      }
+
+      return { median: median, sigma: sigma };
+   };
+
+   // Auto black point of an image channel: median - k*sigma of the
+   // sigma-clipped background, k = blackPointSigma
+   this.calculateAutoBlackPoint = function(image, channel)
+   {
+      if (!image) return 0;
+
+      var stats = this.backgroundStatistics(image, channel);
+      if (stats === null) return 0;
+      return Math.max(0, stats.median - this.blackPointSigma * stats.sigma);
+   };
+
+   // Per-channel black points that leave the background neutral gray after
+   // the stretch: the weighted pedestals (median - black) * weight are made
+   // proportional to neutralPedestalDirection(), so the color matrix turns
+   // them gray, and as large as the auto black point pedestals allow, so no
+   // black point falls below its auto value. Returns null when no
+   // background was found or the color matrix cannot give a gray
+   // background (see neutralPedestalDirection()).
+   this.neutralBlackPoints = function(inputs)
+   {
+      var direction = this.neutralPedestalDirection();
+      if (direction === null) return null;
+
+      var weights = [this.weightR, this.weightG, this.weightB];
+      var medians = [];
+      var scale = Infinity;
+      for (var c = 0; c < 3; c++)
+      {
+         var stats = this.backgroundStatistics(inputs.images[c], inputs.channels[c]);
+         if (stats === null) return null;
+         var black = Math.max(0, stats.median - this.blackPointSigma * stats.sigma);
+         scale = Math.min(scale, (stats.median - black) * weights[c] / direction[c]);
+         medians.push(stats.median);
+      }
+
+      return [
+         medians[0] - scale * direction[0] / weights[0],
+         medians[1] - scale * direction[1] / weights[1],
+         medians[2] - scale * direction[2] / weights[2]
+      ];
+   };
+
+   // Median and sigma (1.4826 * MAD) of the nonzero pixels of an image
+   // channel inside rect, reading every step-th pixel and row. Returns
+   // { median, sigma }, or null when most pixels read are zero (borders).
+   this.regionStatistics = function(image, channel, rect, step)
+   {
+      var width = rect.x1 - rect.x0;
+      var row = new Float32Array(width);
+      var values = new Float32Array(Math.ceil(width / step) * Math.ceil((rect.y1 - rect.y0) / step));
+      var read = 0;
+      var count = 0;
+      for (var y = rect.y0; y < rect.y1; y += step)
+      {
+         image.getSamples(row, new Rect(rect.x0, y, rect.x1, y + 1), channel);
+         for (var x = 0; x < width; x += step, read++)
+            if (row[x] > 0)
+               values[count++] = row[x];
+      }
+      if (count === 0 || 2 * count < read) return null;
+
+      values = values.subarray(0, count);
+      var median = selectKth(values, count >> 1);
+      for (var i = 0; i < count; i++)
+         values[i] = Math.abs(values[i] - median);
+      return { median: median, sigma: 1.4826 * selectKth(values, count >> 1) };
+   };
+
+   // True when the background surface replaces the black points. Astropy
+   // mode keeps astropy's scalar minimum.
+   this.usesBackgroundModel = function()
+   {
+      return this.backgroundModel && !this.astropyCompatible;
+   };
+
+   // Background samples of the input channels (and the L master in LRGB
+   // mode), one list of { x, y, value, sigma } per channel: boxes around
+   // the clicked backgroundSamples, or the cells of a backgroundGrid grid
+   // over the image. Samples falling on zero-valued borders are skipped.
+   this.sampleBackground = function(inputs)
+   {
+      var images = [inputs.images[0], inputs.images[1], inputs.images[2], inputs.luminance];
+      var channels = [inputs.channels[0], inputs.channels[1], inputs.channels[2], 0];
+
+      var rects = [];
+      if (this.backgroundSamples.length > 0)
+      {
+         var radius = this.backgroundSampleRadius;
+         for (var i = 0; i < this.backgroundSamples.length; i++)
+         {
+            var p = this.backgroundSamples[i];
+            rects.push(new Rect(Math.max(0, p[0] - radius), Math.max(0, p[1] - radius),
+                                Math.min(inputs.width, p[0] + radius + 1), Math.min(inputs.height, p[1] + radius + 1)));
+         }
+      }
+      else
+      {
+         var grid = this.backgroundGrid;
+         for (var j = 0; j < grid; j++)
+            for (var i = 0; i < grid; i++)
+               rects.push(new Rect(Math.floor(i * inputs.width / grid), Math.floor(j * inputs.height / grid),
+                                   Math.floor((i + 1) * inputs.width / grid), Math.floor((j + 1) * inputs.height / grid)));
+      }
+
+      var samples = [];
+      for (var c = 0; c < 4; c++)
+      {
+         samples.push([]);
+         if (!images[c]) continue;
+         for (var k = 0; k < rects.length; k++)
+         {
+            var rect = rects[k];
+            var area = (rect.x1 - rect.x0) * (rect.y1 - rect.y0);
+            if (area <= 0) continue;
+            var step = Math.max(1, Math.floor(Math.sqrt(area / 2500)));
+            var stats = this.regionStatistics(images[c], channels[c], rect, step);
+            if (stats !== null)
+               samples[c].push({ x: (rect.x0 + rect.x1 - 1) / 2, y: (rect.y0 + rect.y1 - 1) / 2,
+                                 value: stats.median, sigma: stats.sigma });
+         }
+      }
+      return samples;
+   };
+
+   // Fit a polynomial surface of degree backgroundDegree to the background
+   // samples of each input channel, in image coordinates normalized to
+   // [-1, 1]. Automatic samples more than 2.5 sigma above or 4 sigma below
+   // the surface (stars, nebulosity) are rejected and the surface fitted
+   // again. Too few clicked samples lower the degree to what they can
+   // determine. The pixel noise of a channel is the median sigma of its
+   // samples. Stored in backgroundSurface; returns it, or null when a
+   // channel has no usable samples.
+   this.fitBackgroundModel = function(inputs)
+   {
+      this.backgroundSurface = null;
+      var automatic = (this.backgroundSamples.length === 0);
+      var samples = this.sampleBackground(inputs);
+      var numberOfChannels = inputs.luminance ? 4 : 3;
+      var cx = inputs.width / 2;
+      var cy = inputs.height / 2;
+
+      var degree = Math.max(1, Math.min(4, Math.round(this.backgroundDegree)));
+      for (var c = 0; c < numberOfChannels; c++)
+      {
+         if (samples[c].length === 0)
+         {
+            console.warningln("Background model: no usable background samples");
+            return null;
+         }
+         while (degree > 0 && polynomialTermCount(degree) > samples[c].length)
+            degree--;
+      }
+
+      var coefficients = [null, null, null, null];
+      var sigmas = [0, 0, 0, 0];
+      var counts = [0, 0, 0, 0];
+      for (var c = 0; c < numberOfChannels; c++)
+      {
+         var active = samples[c];
+         var fit = null;
+         for (var iteration = 0; iteration < 5; iteration++)
+         {
+            var rows = [];
+            var values = [];
+            for (var k = 0; k < active.length; k++)
+            {
+               rows.push(polynomialTerms((active[k].x - cx) / cx, (active[k].y - cy) / cy, degree));
+               values.push(active[k].value);
+            }
+            fit = leastSquares(rows, values);
+            if (fit === null)
+            {
+               console.warningln("Background model: the samples do not determine the surface");
+               return null;
+            }
+            if (!automatic) break;
+
+            var residuals = [];
+            var deviations = new Float32Array(active.length);
+            for (var k = 0; k < active.length; k++)
+            {
+               var model = 0;
+               for (var t = 0; t < fit.length; t++)
+                  model += fit[t] * rows[k][t];
+               residuals.push(active[k].value - model);
+               deviations[k] = Math.abs(residuals[k]);
+            }
+            var scale = 1.4826 * selectKth(deviations, active.length >> 1);
+
+            var kept = [];
+            for (var k = 0; k < active.length; k++)
+               if (residuals[k] <= 2.5 * scale && residuals[k] >= -4 * scale)
+                  kept.push(active[k]);
+            if (kept.length === active.length || kept.length < polynomialTermCount(degree))
+               break;
+            active = kept;
+         }
+
+         var noise = new Float32Array(active.length);
+         for (var k = 0; k < active.length; k++)
+            noise[k] = active[k].sigma;
+         coefficients[c] = fit;
+         sigmas[c] = selectKth(noise, active.length >> 1);
+         counts[c] = active.length;
+      }
+
+      this.backgroundSurface = {
+         width: inputs.width,
+         height: inputs.height,
+         degree: degree,
+         coefficients: coefficients,
+         sigmas: sigmas,
+         counts: counts,
+         low: 0,
+         high: 0
+      };
+
+      // Range of the RGB surfaces over the image, for the model preview
+      var low = Infinity;
+      var high = -Infinity;
+      for (var j = 0; j <= 8; j++)
+      {
+         for (var i = 0; i <= 8; i++)
+         {
+            var values = this.backgroundModelValues(i * (inputs.width - 1) / 8, j * (inputs.height - 1) / 8);
+            low = Math.min(low, values[0], values[1], values[2]);
+            high = Math.max(high, values[0], values[1], values[2]);
+         }
+      }
+      this.backgroundSurface.low = low;
+      this.backgroundSurface.high = high;
+
+      console.writeln(format("Background model: degree %d, %d %s samples (R), range %.6f - %.6f",
+                             degree, counts[0], automatic ? "automatic" : "clicked", low, high));
+      return this.backgroundSurface;
+   };
+
+   // Values [r, g, b, l] of the background surface at image (x, y); l is 0
+   // without a luminance master
+   this.backgroundModelValues = function(x, y)
+   {
+      var surface = this.backgroundSurface;
+      var cx = surface.width / 2;
+      var cy = surface.height / 2;
+      var terms = polynomialTerms((x - cx) / cx, (y - cy) / cy, surface.degree);
+      var values = [0, 0, 0, 0];
+      for (var c = 0; c < 4; c++)
+      {
+         var coefficients = surface.coefficients[c];
+         if (coefficients === null) continue;
+         for (var t = 0; t < terms.length; t++)
+            values[c] += coefficients[t] * terms[t];
+      }
+      return values;
+   };
+
+   // Levels [r, g, b, l] the background keeps above the surface:
+   // blackPointSigma times the pixel noise, as the auto black point leaves
+   // it. With neutralizeBackground the weighted RGB pedestals are made gray
+   // after the color matrix, as in neutralBlackPoints(); a matrix that
+   // cannot give a gray background leaves them as they are.
+   this.backgroundPedestals = function()
+   {
+      var sigmas = this.backgroundSurface.sigmas;
+      var k = this.blackPointSigma;
+      var pedestals = [k * sigmas[0], k * sigmas[1], k * sigmas[2], k * sigmas[3]];
+      var direction = this.neutralizeBackground ? this.neutralPedestalDirection() : null;
+      if (direction !== null)
+      {
+         var weights = [this.weightR, this.weightG, this.weightB];
+         var scale = Infinity;
+         for (var c = 0; c < 3; c++)
+            scale = Math.min(scale, pedestals[c] * weights[c] / direction[c]);
+         for (var c = 0; c < 3; c++)
+            pedestals[c] = scale * direction[c] / weights[c];
+      }
+      return pedestals;
+   };
+
+   // Pedestals for pixelMinima() in a pixel loop, computed once per
+   // loop rather than for every pixel: backgroundPedestals(), or null
+   // when the black points apply
+   this.pixelPedestals = function()
+   {
+      if (this.backgroundSurface === null || !this.usesBackgroundModel()) return null;
+      return this.backgroundPedestals();
+   };
+
+   // Minima [r, g, b, l] subtracted at image (x, y): the background
+   // surface minus the pedestals, or null when the black points apply.
+   // pedestals is pixelPedestals(), computed here when omitted.
+   this.pixelMinima = function(x, y, pedestals)
+   {
+      if (this.backgroundSurface === null || !this.usesBackgroundModel()) return null;
+
+      var values = this.backgroundModelValues(x, y);
+      if (pedestals === undefined)
+         pedestals = this.backgroundPedestals();
+      return [values[0] - pedestals[0], values[1] - pedestals[1],
+              values[2] - pedestals[2], values[3] - pedestals[3]];
+   };
+
+   // Preview color of the background surface at image (x, y): the RGB
+   // surfaces mapped from their range over the image to 0 - 1
+   this.backgroundModelDisplay = function(x, y)
+   {
+      var surface = this.backgroundSurface;
+      if (surface === null) return [0, 0, 0];
+
+      var values = this.backgroundModelValues(x, y);
+      var range = Math.max(1e-10, surface.high - surface.low);
+      return [(values[0] - surface.low) / range, (values[1] - surface.low) / range,
+              (values[2] - surface.low) / range];
+   };
+
+   // Fit the background surface for the preview unless one for inputs'
+   // geometry exists. A failed fit falls back to the black points.
+   this.ensureBackgroundModel = function(inputs)
+   {
+      var surface = this.backgroundSurface;
+      if (surface === null || surface.width !== inputs.width || surface.height !== inputs.height)
+         this.fitBackgroundModel(inputs);
+   };
+
+   // PixelMath statements defining the symbols bgMinR, bgMinG, bgMinB (and
+   // bgMinL in LRGB mode) as the per-pixel minima of pixelMinima(). origin is the image
+   // position of the processed view's top left pixel.
+   this.backgroundModelStatements = function(origin)
+   {
+      var surface = this.backgroundSurface;
+      var cx = surface.width / 2;
+      var cy = surface.height / 2;
+      var pedestals = this.backgroundPedestals();
+      var names = ["bgMinR", "bgMinG", "bgMinB", "bgMinL"];
+
+      var statements = "bgU = (x()+" + origin.x + "-" + cx + ")/" + cx + "; " +
+                       "bgV = (y()+" + origin.y + "-" + cy + ")/" + cy + "; ";
+      for (var c = 0; c < 4; c++)
+      {
+         if (surface.coefficients[c] === null) continue;
+         statements += names[c] + " = " + polynomialExpression(surface.coefficients[c], surface.degree, "bgU", "bgV") +
+                       "-(" + pedestals[c] + "); ";
+      }
+      return statements;
+   };
+
+   // Measure background-subtracted star flux per channel near (cx, cy).
+   // The brightest pixel within searchRadius is taken as the star center;
+   // flux is summed over a square aperture minus the median of a surrounding
+   // ring. Returns [fluxR, fluxG, fluxB] or null if nothing usable was found.
+   this.measureStarFlux = function(inputs, cx, cy, searchRadius, apertureRadius)
+   {
+      if (searchRadius === undefined) searchRadius = 6;
+      if (apertureRadius === undefined) apertureRadius = 4;
+
+      var ringInner = apertureRadius + 2;
+      var ringOuter = apertureRadius + 5;
+
+      // Locate the peak of the mean intensity around the click
+      var bestX = -1, bestY = -1, bestI = -1;
+      for (var y = cy - searchRadius; y <= cy + searchRadius; y++)
+      {
+         for (var x = cx - searchRadius; x <= cx + searchRadius; x++)
+         {
+            if (x < 0 || y < 0 || x >= inputs.width || y >= inputs.height) continue;
+            var p = this.readInputPixel(inputs, x, y);
+            var I = p[0] + p[1] + p[2];
+            if (I > bestI)
+            {
+               bestI = I;
+               bestX = x;
+               bestY = y;
+            }
+         }
+      }
+
+      if (bestX < ringOuter || bestY < ringOuter ||
+          bestX >= inputs.width - ringOuter || bestY >= inputs.height - ringOuter)
+         return null;
+
+      var flux = [0, 0, 0];
+      var npix = 0;
+      var ring = [[], [], []];
+      for (var dy = -ringOuter; dy <= ringOuter; dy++)
+      {
+         for (var dx = -ringOuter; dx <= ringOuter; dx++)
+         {
+            var d = Math.max(Math.abs(dx), Math.abs(dy));
+            if (d > apertureRadius && d < ringInner) continue;
+
+            var p = this.readInputPixel(inputs, bestX + dx, bestY + dy);
+            if (d <= apertureRadius)
+            {
+               flux[0] += p[0];
+               flux[1] += p[1];
+               flux[2] += p[2];
+               npix++;
+            }
+            else
+            {
+               ring[0].push(p[0]);
+               ring[1].push(p[1]);
+               ring[2].push(p[2]);
+            }
+         }
+      }
+
+      for (var c = 0; c < 3; c++)
+      {
+         ring[c].sort(function(a, b) { return a - b; });
+         var background = ring[c][Math.floor(ring[c].length / 2)];
+         flux[c] -= background * npix;
+         if (flux[c] <= 0)
+            return null;
+      }
 
-   // Image sources
-   this.useActiveImage = true;
-   this.imageR = null;
-   this.imageG = null;
-   this.imageB = null;
+      return flux;
+   };
+
+   // Band weights that make a star with the given flux come out white.
+   // Weights are normalized so the mean flux is unchanged.
+   this.weightsFromFlux = function(flux)
+   {
+      var mean = (flux[0] + flux[1] + flux[2]) / 3;
+      return [mean / flux[0], mean / flux[1], mean / flux[2]];
+   };
+
+   // Background level [r, g, b] of the box around image (x, y) as the color
+   // matrix sees it: median minus the black point (or background model),
+   // times the band weight. Null if the box holds no usable background.
+   this.referenceBackground = function(inputs, x, y)
+   {
+      var radius = this.backgroundSampleRadius;
+      var rect = new Rect(Math.max(0, x - radius), Math.max(0, y - radius),
+                          Math.min(inputs.width, x + radius + 1), Math.min(inputs.height, y + radius + 1));
+      var minima = this.pixelMinima(x, y);
+      if (minima === null)
+         minima = this.channelMinima();
+      var weights = [this.weightR, this.weightG, this.weightB];
+
+      var level = [];
+      for (var c = 0; c < 3; c++)
+      {
+         var stats = this.regionStatistics(inputs.images[c], inputs.channels[c], rect, 1);
+         if (stats === null) return null;
+         level.push((stats.median - minima[c]) * weights[c]);
+      }
+      return level;
+   };
+
+   // Color matrix from a white reference star and, optionally, a neutral
+   // background, given as band-weighted [r, g, b] levels (star flux times
+   // the weights, referenceBackground()). The star sets diagonal gains that
+   // make it gray at its mean level. The background then adds the smallest
+   // correction (minimum Frobenius norm) that turns it gray as well while
+   // the star stays put; a background too faint or with the star's own
+   // color adds nothing. Returns null if the star has no flux.
+   this.colorMatrixFromReferences = function(star, background)
+   {
+      if (star[0] <= 0 || star[1] <= 0 || star[2] <= 0) return null;
+
+      var mean = (star[0] + star[1] + star[2]) / 3;
+      var matrix = [[mean / star[0], 0, 0], [0, mean / star[1], 0], [0, 0, mean / star[2]]];
+      if (!background) return matrix;
+
+      var dot = function(a, b) { return a[0] * b[0] + a[1] * b[1] + a[2] * b[2]; };
+      var ss = dot(star, star);
+      var bb = dot(background, background);
+      var sb = dot(star, background);
+      var det = ss * bb - sb * sb;
+      if (bb <= 0 || det <= 1e-4 * ss * bb) return matrix;
+
+      // Residual of the background after the gains
+      var balanced = [matrix[0][0] * background[0], matrix[1][1] * background[1], matrix[2][2] * background[2]];
+      var meanB = (balanced[0] + balanced[1] + balanced[2]) / 3;
+
+      // Delta = [0 r] (A^T A)^-1 A^T with A = [star background]: the
+      // minimum norm solution of Delta*star = 0, Delta*background = r
+      for (var i = 0; i < 3; i++)
+      {
+         var r = meanB - balanced[i];
+         for (var j = 0; j < 3; j++)
+            matrix[i][j] += r * (ss * background[j] - sb * star[j]) / det;
+      }
+      return matrix;
+   };
 
-   // Arcsinh stretch function F(x)
-   this.F = function(x, alpha, Q, minimum)
+   // Estimate band weights from the average color of all unsaturated stars.
+   // Stars are local maxima of the mean channel well above the background
+   // noise whose 3x3 neighbourhood stays below saturationLimit in every
+   // channel. Returns { weights, count } or null if no stars were measured.
+   this.estimateStarWeights = function(inputs, saturationLimit, maxStars)
    {
-      var val = x - minimum;
-      if (val <= 0) return 0;
-      return Math.asinh(alpha * Q * val) / Q;
+      if (saturationLimit === undefined) saturationLimit = 0.95;
+      if (maxStars === undefined) maxStars = 500;
+
+      var width = inputs.width;
+      var height = inputs.height;
+      var apertureRadius = 4;
+      var border = apertureRadius + 5;
+      if (width <= 2 * border || height <= 2 * border) return null;
+
+      // Background level and noise per channel
+      var background = [];
+      var noise = 0;
+      for (var c = 0; c < 3; c++)
+      {
+         var image = inputs.images[c];
+         image.selectedChannel = inputs.channels[c];
+         background.push(image.median());
+         noise += 1.4826 * image.MAD() / 3;
+         image.resetSelections();
+      }
+      var threshold = 20 * Math.max(noise, 1e-6);
+
+      // Rolling three-row buffers per channel
+      var rows = [];
+      for (var c = 0; c < 3; c++)
+         rows.push([new Float32Array(width), new Float32Array(width), new Float32Array(width)]);
+
+      var readRow = function(c, y, buffer)
+      {
+         inputs.images[c].getSamples(buffer, new Rect(0, y, width, y + 1), inputs.channels[c]);
+      };
+
+      for (var c = 0; c < 3; c++)
+      {
+         readRow(c, border - 1, rows[c][0]);
+         readRow(c, border, rows[c][1]);
+      }
+
+      var candidates = [];
+      for (var y = border; y < height - border && candidates.length < maxStars; y++)
+      {
+         for (var c = 0; c < 3; c++)
+            readRow(c, y + 1, rows[c][2]);
+
+         for (var x = border; x < width - border && candidates.length < maxStars; x++)
+         {
+            var center = rows[0][1][x] - background[0] +
+                         rows[1][1][x] - background[1] +
+                         rows[2][1][x] - background[2];
+            if (center < 3 * threshold) continue;
+
+            var isPeak = true;
+            var saturated = false;
+            for (var k = 0; k < 3 && isPeak && !saturated; k++)
+            {
+               for (var dx = -1; dx <= 1; dx++)
+               {
+                  var v0 = rows[0][k][x + dx];
+                  var v1 = rows[1][k][x + dx];
+                  var v2 = rows[2][k][x + dx];
+                  if (v0 >= saturationLimit || v1 >= saturationLimit || v2 >= saturationLimit)
+                  {
+                     saturated = true;
+                     break;
+                  }
+                  if ((k !== 1 || dx !== 0) &&
+                      v0 - background[0] + v1 - background[1] + v2 - background[2] > center)
+                  {
+                     isPeak = false;
+                     break;
+                  }
+               }
+            }
+
+            if (isPeak && !saturated)
+               candidates.push([x, y]);
+         }
+
+         for (var c = 0; c < 3; c++)
+         {
+            var recycled = rows[c][0];
+            rows[c][0] = rows[c][1];
+            rows[c][1] = rows[c][2];
+            rows[c][2] = recycled;
+         }
+      }
+
+      // Average the normalized color of every measurable star
+      var ratios = [0, 0, 0];
+      var count = 0;
+      for (var i = 0; i < candidates.length; i++)
+      {
+         var flux = this.measureStarFlux(inputs, candidates[i][0], candidates[i][1], 0, apertureRadius);
+         if (!flux) continue;
+
+         var mean = (flux[0] + flux[1] + flux[2]) / 3;
+         ratios[0] += flux[0] / mean;
+         ratios[1] += flux[1] / mean;
+         ratios[2] += flux[2] / mean;
+         count++;
+      }
+
+      if (count === 0) return null;
+
+      return {
+         weights: [count / ratios[0], count / ratios[1], count / ratios[2]],
+         count: count
+      };
    };
 
-   // Process a single pixel (r, g, b values 0-1)
-   this.processPixel = function(r, g, b)
+   // Apply the Lupton stretch to view with PixelMath. src holds the
+   // PixelMath expressions of the R, G and B inputs; origin is the image
+   // position of view's top left pixel, for the background model.
+   // rescaleLevels optionally fixes the Rescale levels, which are measured
+   // on view after pass 2 otherwise. Pass 1 and 2 leave values above 1, so
+   // view must be a 32-bit float image. Throws on failure; the caller wraps
+   // the passes in beginProcess()/endProcess().
+   this.applyLuptonPixelMath = function(view, src, origin, rescaleLevels)
    {
+      // The Lupton formula:
+      // c' = (c - min_c) * w_c
+      // I = intensity(R', G', B') - mean, luminance, max or custom
+      // F(x) = selected stretch function, e.g. asinh(alpha*Q*x)/Q
+      // scale = F(I)/I
+      // out = c' * scale
+
       var minR = this.linkedChannels ? this.blackPoint : this.blackR;
       var minG = this.linkedChannels ? this.blackPoint : this.blackG;
       var minB = this.linkedChannels ? this.blackPoint : this.blackB;
+      var minL = this.blackL;
+
+      // The background surface replaces the black points with per-pixel
+      // minima, defined as symbols ahead of the pass 1 expressions
+      var statements = "";
+      var symbols = "";
+      if (this.usesBackgroundModel() && this.backgroundSurface !== null)
+      {
+         statements = this.backgroundModelStatements(origin ? origin : new Point(0, 0));
+         symbols = "bgU, bgV, bgMinR, bgMinG, bgMinB" + (this.backgroundSurface.coefficients[3] !== null ? ", bgMinL" : "");
+         minR = "bgMinR";
+         minG = "bgMinG";
+         minB = "bgMinB";
+         minL = "bgMinL";
+      }
 
-      // For the Lupton algorithm, we use a single "minimum" for intensity calculation
-      // but can subtract per-channel minimums for the final scaling
-      var minimum = (minR + minG + minB) / 3;
+      // Black-point subtracted, band-weighted channels
+      var chR = "(" + src[0] + "-" + minR + ")*" + this.weightR;
+      var chG = "(" + src[1] + "-" + minG + ")*" + this.weightG;
+      var chB = "(" + src[2] + "-" + minB + ")*" + this.weightB;
 
-      // Step 1: Compute intensity
-      var I = (r + g + b) / 3;
+      // The color matrix mixes the weighted channels into symbols, so the
+      // expressions below use each calibrated channel by name
+      if (this.usesColorMatrix())
+      {
+         statements += this.colorMatrixStatements(chR, chG, chB);
+         symbols += (symbols.length > 0 ? ", " : "") + "ccR, ccG, ccB";
+         chR = "ccR";
+         chG = "ccG";
+         chB = "ccB";
+      }
 
-      // Step 2: Compute scale factor using arcsinh stretch
-      var scale = 0;
+      // Intensity calculation (same for all channels)
+      var intensity = this.intensityExpression(chR, chG, chB);
       var epsilon = 1e-10;
-      if (I > minimum + epsilon)
+
+      // LRGB: stretch a blend of I and the luminance master, but divide by
+      // the RGB intensity so the color ratios still come from RGB
+      var stretchedIntensity = intensity;
+      if (this.usesLuminance())
       {
-         var FI = this.F(I, this.stretch, this.Q, minimum);
-         scale = FI / (I - minimum);
+         var blend = this.luminanceBlend;
+         stretchedIntensity = "(" + (1 - blend) + "*" + intensity + "+" + blend +
+                              "*(" + this.imageL.id + "-" + minL + "))";
       }
 
-      // Step 3: Apply scale to each channel (with per-channel black point subtraction)
-      var rOut = (r - minR) * scale;
-      var gOut = (g - minG) * scale;
-      var bOut = (b - minB) * scale;
-
-      // Step 4: Apply saturation boost
+      var FI = this.stretchExpression(stretchedIntensity);
+      // Add protection against division by very small denominators
+      var scale = "iif(" + intensity + ">" + epsilon + "," + FI + "/max(" + epsilon + "," + intensity + "),0)";
+
+      // PASS 1: Apply Lupton stretch (no clipping yet)
+      var P1 = new PixelMath;
+      P1.expression = statements + "max(0," + chR + "*" + scale + ")";
+      P1.expression1 = statements + "max(0," + chG + "*" + scale + ")";
+      P1.expression2 = statements + "max(0," + chB + "*" + scale + ")";
+      P1.symbols = symbols;
+      P1.useSingleExpression = false;
+      P1.createNewImage = false;
+      P1.rescale = false;
+      P1.truncate = false;  // Don't truncate yet - preserve values > 1
+
+      console.writeln("Pass 1: Applying Lupton stretch...");
+      if (!P1.executeOn(view))
+         throw new Error("PixelMath pass 1 failed");
+
+      // PASS 2: Apply saturation adjustment if needed
       if (Math.abs(this.saturation - 1.0) > 1e-6)
       {
-         var lum = (rOut + gOut + bOut) / 3;
-         rOut = lum + (rOut - lum) * this.saturation;
-         gOut = lum + (gOut - lum) * this.saturation;
-         bOut = lum + (bOut - lum) * this.saturation;
+         var model = findSaturationModel(this.saturationModel);
+         var satFactor = this.saturationRamp ?
+            "(1+" + (this.saturation - 1) + "*" + this.saturationWeightExpression() + ")" :
+            this.saturation;
+         var sat = model.expressions(["$T[0]", "$T[1]", "$T[2]"], satFactor);
+         var P2 = new PixelMath;
+         P2.expression = sat.expressions[0];
+         P2.expression1 = sat.expressions[1];
+         P2.expression2 = sat.expressions[2];
+         P2.symbols = sat.symbols;
+         P2.useSingleExpression = false;
+         P2.createNewImage = false;
+         P2.rescale = false;
+         P2.truncate = false;
+
+         console.writeln("Pass 2: Applying " + model.name + " saturation...");
+         if (!P2.executeOn(view))
+            throw new Error("PixelMath pass 2 failed");
       }
 
-      // Step 5: Handle clipping based on mode
-      switch (this.clippingMode)
+      // PASS 3: Apply clipping based on mode
+      var P3 = new PixelMath;
+      if (this.clippingMode === 0)
       {
-         case 0: // Preserve Color (Lupton)
-            var maxVal = Math.max(rOut, gOut, bOut);
-            if (maxVal > 1.0)
-            {
-               rOut /= maxVal;
-               gOut /= maxVal;
-               bOut /= maxVal;
-            }
-            break;
-         case 1: // Hard Clip
-            rOut = Math.min(1.0, Math.max(0, rOut));
-            gOut = Math.min(1.0, Math.max(0, gOut));
-            bOut = Math.min(1.0, Math.max(0, bOut));
-            break;
-         case 2: // Rescale - handled at image level
-            break;
+         // Preserve Color: divide all channels by max(R,G,B) if any > 1
+         // This is the key Lupton feature - colors are preserved!
+         var maxRGB = "max($T[0],max($T[1],$T[2]))";
+         var clipScale = "iif(" + maxRGB + ">1,1/" + maxRGB + ",1)";
+         P3.expression = "max(0,$T[0]*" + clipScale + ")";
+         P3.expression1 = "max(0,$T[1]*" + clipScale + ")";
+         P3.expression2 = "max(0,$T[2]*" + clipScale + ")";
+         P3.rescale = false;
+         P3.truncate = true;
+         console.writeln("Pass 3: Applying color-preserving clip...");
+      }
+      else if (this.clippingMode === 1)
+      {
+         // Hard clip each channel independently
+         P3.expression = "min(1,max(0,$T[0]))";
+         P3.expression1 = "min(1,max(0,$T[1]))";
+         P3.expression2 = "min(1,max(0,$T[2]))";
+         P3.rescale = false;
+         P3.truncate = true;
+         console.writeln("Pass 3: Applying hard clip...");
+      }
+      else if (this.clippingMode === 3)
+      {
+         // Soft knee: compress max(R,G,B) above the knee smoothly toward 1
+         // and scale all channels alike
+         var knee = this.clippingKnee;
+         var width = 1 - knee;
+         var kneeScale = "iif(M>" + knee + ",(" + knee + "+" + width + "*(1-exp(-(M-" + knee + ")/" +
+                         width + ")))/M,1)";
+         var maxT = "M = max($T[0],max($T[1],$T[2])); ";
+         P3.expression = maxT + "max(0,$T[0]*" + kneeScale + ")";
+         P3.expression1 = maxT + "max(0,$T[1]*" + kneeScale + ")";
+         P3.expression2 = maxT + "max(0,$T[2]*" + kneeScale + ")";
+         P3.symbols = "M";
+         P3.rescale = false;
+         P3.truncate = true;
+         console.writeln("Pass 3: Applying soft knee roll-off...");
+      }
+      else if (this.clippingMode === 4)
+      {
+         // Blend to white: move every channel toward max(R,G,B) as it
+         // approaches clipping (smoothstep from the knee to 1)
+         var blend = "M = max($T[0],max($T[1],$T[2])); " +
+                     "t = min(1,max(0,(M-" + this.clippingKnee + ")/" + (1 - this.clippingKnee) + ")); " +
+                     "t = t*t*(3-2*t); ";
+         P3.expression = blend + "max(0,min(1,$T[0]+(M-$T[0])*t))";
+         P3.expression1 = blend + "max(0,min(1,$T[1]+(M-$T[1])*t))";
+         P3.expression2 = blend + "max(0,min(1,$T[2]+(M-$T[2])*t))";
+         P3.symbols = "M, t";
+         P3.rescale = false;
+         P3.truncate = true;
+         console.writeln("Pass 3: Applying blend to white...");
+      }
+      else
+      {
+         // Rescale: map the percentile level of the stretched data to 1, so
+         // hot pixels and star cores do not set the normalization
+         var levels = rescaleLevels ? rescaleLevels : this.measureRescaleLevels(view.image);
+         P3.expression = "min(1,max(0,$T[0]/" + levels[0] + "))";
+         P3.expression1 = "min(1,max(0,$T[1]/" + levels[1] + "))";
+         P3.expression2 = "min(1,max(0,$T[2]/" + levels[2] + "))";
+         P3.rescale = false;
+         P3.truncate = true;
+         console.writeln(format("Pass 3: Rescaling the %.2f%% level to 1 (R=%.4f, G=%.4f, B=%.4f)...",
+                                this.rescalePercentile, levels[0], levels[1], levels[2]));
       }
+      P3.useSingleExpression = false;
+      P3.createNewImage = false;
 
-      // Clamp negative values
-      rOut = Math.max(0, rOut);
-      gOut = Math.max(0, gOut);
-      bOut = Math.max(0, bOut);
+      if (!P3.executeOn(view))
+         throw new Error("PixelMath pass 3 failed");
+   };
 
-      return [rOut, gOut, bOut];
+   // PixelMath expressions of make_lupton_rgb(minimum, stretch, Q) for the
+   // R, G and B input expressions src, quantized to 8-bit levels / 255
+   this.astropyExpressions = function(src, minimum, stretch, Q)
+   {
+      Q = astropySafeQ(Math.max(0, Q));
+      var slope = 0.1 / Math.asinh(0.1 * Q);
+      var soften = Q / stretch;
+      var epsilon = 1e-30;
+
+      var ch = [
+         "(" + src[0] + "-" + minimum[0] + ")",
+         "(" + src[1] + "-" + minimum[1] + ")",
+         "(" + src[2] + "-" + minimum[2] + ")"
+      ];
+      var I = "((" + ch[0] + "+" + ch[1] + "+" + ch[2] + ")/3)";
+
+      // fac = asinh(I*soften)*slope/I, asinh(y) = ln(y + sqrt(y^2+1))
+      var arg = soften + "*" + I;
+      var fac = "iif(" + I + "<=0,0,ln(" + arg + "+sqrt(" + arg + "*" + arg + "+1))*" + slope +
+                "/max(" + epsilon + "," + I + "))";
+
+      var x = [
+         "max(0," + ch[0] + "*" + fac + ")",
+         "max(0," + ch[1] + "*" + fac + ")",
+         "max(0," + ch[2] + "*" + fac + ")"
+      ];
+      var maxRGB = "max(" + x[0] + ",max(" + x[1] + "," + x[2] + "))";
+
+      var quantize = function(xc)
+      {
+         return "floor(255*iif(" + maxRGB + ">1," + xc + "/" + maxRGB + "," + xc + "))/255";
+      };
+      return [quantize(x[0]), quantize(x[1]), quantize(x[2])];
    };
 
-   // Calculate auto black point for an image/channel
-   this.calculateAutoBlackPoint = function(view, channel)
+   // Astropy compatibility mode in a single PixelMath pass, so every step
+   // up to the 8-bit quantization runs in PixelMath's double precision
+   this.applyAstropyPixelMath = function(view, src)
    {
-      var image = view.image;
-      if (!image) return 0;
+      var expressions = this.astropyExpressions(src, this.channelMinima(), this.stretch, this.Q);
+      var P = new PixelMath;
+      P.expression = expressions[0];
+      P.expression1 = expressions[1];
+      P.expression2 = expressions[2];
+      P.useSingleExpression = false;
+      P.createNewImage = false;
+      P.rescale = false;
+      P.truncate = true;
+
+      console.writeln("Applying astropy make_lupton_rgb mapping...");
+      if (!P.executeOn(view))
+         throw new Error("PixelMath astropy pass failed");
+   };
+
+   // Stretch view with the PixelMath passes of the selected mode. src holds
+   // the PixelMath expressions of the R, G and B inputs; origin is the
+   // image position of view's top left pixel (defaults to 0, 0);
+   // rescaleLevels is passed on to applyLuptonPixelMath().
+   this.applyStretchPixelMath = function(view, src, origin, rescaleLevels)
+   {
+      if (this.astropyCompatible)
+         this.applyAstropyPixelMath(view, src);
+      else
+         this.applyLuptonPixelMath(view, src, origin, rescaleLevels);
+   };
 
-      // Use ImageStatistics for reliable calculations
+   // Image position of the top left pixel of view: the preview rectangle's
+   // corner for a preview, 0, 0 for a main view
+   this.viewOrigin = function(view)
+   {
+      if (!view.isPreview) return new Point(0, 0);
+      var rect = view.window.previewRect(view);
+      return new Point(rect.x0, rect.y0);
+   };
+
+   // Write the stretched data to view through a mask:
+   // out = m*stretched + (1 - m)*linear, m being the (inverted) mask.
+   // stretched and linear hold one PixelMath expression per channel. With
+   // a null mask the stretched data is written as is, and PixelMath applies
+   // the active mask of the view's window by itself.
+   this.applyMaskPixelMath = function(view, mask, stretched, linear)
+   {
+      var expressions = [];
+      for (var c = 0; c < 3; c++)
+      {
+         if (mask === null)
+         {
+            expressions.push(stretched[c]);
+         }
+         else
+         {
+            var m = mask.inverted ? "(1-" + mask.view.id + ")" : mask.view.id;
+            expressions.push(m + "*" + stretched[c] + "+(1-" + m + ")*" + linear[c]);
+         }
+      }
+
+      var P = new PixelMath;
+      P.expression = expressions[0];
+      P.expression1 = expressions[1];
+      P.expression2 = expressions[2];
+      P.useSingleExpression = false;
+      P.createNewImage = false;
+      P.rescale = false;
+      P.truncate = true;
+
+      if (mask === null)
+         console.writeln((view.window.maskEnabled && !view.window.mask.isNull) ?
+                         "Applying through the target window's mask..." : "Writing the stretched data...");
+      else
+         console.writeln("Applying through mask " + mask.view.id + (mask.inverted ? " (inverted)" : "") + "...");
+      if (!P.executeOn(view))
+         throw new Error("PixelMath mask pass failed");
+   };
+
+   // Stretch targetView in place, through mask unless it is null. The
+   // stretch runs on a temporary 32-bit float copy, so values above 1
+   // survive until the clipping pass whatever the target's sample type,
+   // and targetView still holds the linear data for the final blend. The
+   // result is written to targetView in one pass.
+   this.applyInPlace = function(targetView, mask, rescaleLevels)
+   {
+      var image = targetView.image;
+      var work = new ImageWindow(image.width, image.height, 3, 32, true, true, "LuptonWork");
       try
       {
-         // Simple approach: sample some pixels and find low percentile
-         var samples = [];
-         var step = Math.max(1, Math.floor(Math.sqrt(image.width * image.height / 10000)));
+         work.mainView.beginProcess(UndoFlag_NoSwapFile);
+         try
+         {
+            work.mainView.image.apply(image);
+            this.applyStretchPixelMath(work.mainView, ["$T[0]", "$T[1]", "$T[2]"], this.viewOrigin(targetView),
+                                       rescaleLevels);
+         }
+         finally
+         {
+            work.mainView.endProcess();
+         }
 
-         for (var y = 0; y < image.height; y += step)
+         var id = work.mainView.id;
+         var stretched = [id + "[0]", id + "[1]", id + "[2]"];
+         if (mask === null || mask.own)
+         {
+            // Let PixelMath apply the window's mask, which also maps it
+            // onto previews
+            this.applyMaskPixelMath(targetView, null, stretched, null);
+         }
+         else
          {
-            for (var x = 0; x < image.width; x += step)
+            // The selected mask replaces the window's own mask
+            var targetWindow = targetView.window;
+            var maskEnabled = targetWindow.maskEnabled;
+            targetWindow.maskEnabled = false;
+            try
+            {
+               this.applyMaskPixelMath(targetView, mask, stretched, ["$T[0]", "$T[1]", "$T[2]"]);
+            }
+            finally
             {
-               samples.push(image.sample(x, y, channel));
+               targetWindow.maskEnabled = maskEnabled;
             }
          }
+      }
+      finally
+      {
+         work.forceClose();
+      }
+   };
+
+   // Give outputWindow the metadata of sourceWindow: FITS keywords, view
+   // properties, ICC profile and astrometric solution
+   this.copyMetadata = function(sourceWindow, outputWindow)
+   {
+      var sourceView = sourceWindow.mainView;
+      var outputView = outputWindow.mainView;
+
+      outputWindow.keywords = sourceWindow.keywords;
+
+      var properties = sourceView.properties;
+      for (var i = 0; i < properties.length; i++)
+      {
+         var id = properties[i];
+         var attributes = sourceView.propertyAttributes(id);
 
-         // Guard against empty samples
-         if (samples.length === 0) return 0;
+         // Reserved properties are maintained by the application
+         if (attributes & PropertyAttribute_Reserved)
+            continue;
+         try
+         {
+            outputView.setPropertyValue(id, sourceView.propertyValue(id), sourceView.propertyType(id), attributes);
+         }
+         catch (e)
+         {
+            console.warningln("Property " + id + " not copied: " + e.message);
+         }
+      }
 
-         // Sort and find 1st percentile
-         samples.sort(function(a, b) { return a - b; });
-         var idx = Math.floor(samples.length * 0.01);
-         var lowVal = samples[idx];
+      if (sourceWindow.iccProfile)
+         outputWindow.iccProfile = sourceWindow.iccProfile;
 
-         // Find median of low values for more robust estimate
-         var lowSamples = samples.slice(0, Math.max(10, Math.floor(samples.length * 0.05)));
-         var medianIdx = Math.floor(lowSamples.length / 2);
-         var median = lowSamples[medianIdx];
+      if (sourceWindow.hasAstrometricSolution)
+         outputWindow.copyAstrometricSolution(sourceWindow);
+   };
 
-         // Return slightly above the noise floor
-         return Math.max(0, median * 0.9);
+   // Record this run in outputWindow as HISTORY keywords and Lupton:*
+   // XISF properties
+   this.recordProcessing = function(outputWindow)
+   {
+      var minimum = this.channelMinima();
+      var clipping = ClippingModeNames[this.clippingMode];
+
+      var history = ["LuptonRGB " + VERSION + ": Lupton et al. (2004) color-preserving stretch"];
+      if (this.usesPalette())
+         history.push("LuptonRGB: palette " + this.describePalette());
+      if (this.astropyCompatible)
+         history.push(format("LuptonRGB: astropy make_lupton_rgb, stretch=%.4g, Q=%.4g", this.stretch, this.Q));
+      else
+      {
+         var fn = findStretchFunction(this.stretchFunction);
+         history.push("LuptonRGB: " + fn.name + " stretch");
+         for (var i = 0; i < fn.parameters.length; i++)
+            history.push(format("LuptonRGB: %s=%.6g", fn.parameters[i].key, this[fn.parameters[i].key]));
+         if (this.usesPhysicalParameters())
+            history.push(format("LuptonRGB: softening=%.2f sigma (sigma=%.3e), reference %.4f -> %.3f",
+                                this.softeningWidth, this.intensityNoise(), this.referenceFlux,
+                                this.referenceBrightness));
+      }
+      var surface = this.usesBackgroundModel() ? this.backgroundSurface : null;
+      if (surface !== null)
+         history.push(format("LuptonRGB: background model degree %d, %d %s samples", surface.degree, surface.counts[0],
+                             this.backgroundSamples.length > 0 ? "clicked" : "automatic"));
+      else
+         history.push(format("LuptonRGB: black points R=%.6f, G=%.6f, B=%.6f", minimum[0], minimum[1], minimum[2]));
+      if (this.usesColorMatrix())
+         history.push("LuptonRGB: color matrix " + this.describeColorMatrix());
+      history.push(format("LuptonRGB: saturation=%.3f (%s)", this.saturation, this.saturationModel));
+      if (this.saturationRamp)
+         history.push(format("LuptonRGB: saturation ramp threshold=%.4f, softness=%.4f",
+                             this.saturationRampThreshold(), this.saturationSoftness));
+      if (this.clippingMode === 3 || this.clippingMode === 4)
+         history.push(format("LuptonRGB: clipping=%s, knee=%.3f", clipping, this.clippingKnee));
+      else if (this.clippingMode === 2)
+         history.push(format("LuptonRGB: clipping=%s, %.2f%% %s", clipping, this.rescalePercentile,
+                             this.rescaleLinked ? "linked" : "per channel"));
+      else
+         history.push("LuptonRGB: clipping=" + clipping);
+
+      var keywords = outputWindow.keywords;
+      for (var i = 0; i < history.length; i++)
+         keywords.push(new FITSKeyword("HISTORY", "", history[i]));
+      outputWindow.keywords = keywords;
+
+      var view = outputWindow.mainView;
+      var attributes = PropertyAttribute_Storable | PropertyAttribute_Permanent;
+      view.setPropertyValue("Lupton:Version", VERSION, PropertyType_String, attributes);
+      view.setPropertyValue("Lupton:StretchFunction", this.astropyCompatible ? "astropy" : this.stretchFunction,
+                            PropertyType_String, attributes);
+      if (this.astropyCompatible || this.stretchFunction === "asinh")
+      {
+         view.setPropertyValue("Lupton:Alpha", this.stretch, PropertyType_Float64, attributes);
+         view.setPropertyValue("Lupton:Q", this.Q, PropertyType_Float64, attributes);
+      }
+      else
+      {
+         // Lupton:<Key> for each parameter of the stretch function
+         var fnParams = findStretchFunction(this.stretchFunction).parameters;
+         for (var i = 0; i < fnParams.length; i++)
+         {
+            var key = fnParams[i].key;
+            view.setPropertyValue("Lupton:" + key.charAt(0).toUpperCase() + key.substring(1), this[key],
+                                  PropertyType_Float64, attributes);
+         }
+      }
+      if (this.usesPalette())
+         view.setPropertyValue("Lupton:Palette", this.palette, PropertyType_String, attributes);
+      if (surface !== null)
+      {
+         view.setPropertyValue("Lupton:BackgroundModelDegree", surface.degree, PropertyType_Int32, attributes);
       }
-      catch(e)
+      else
       {
-         console.warningln("Auto black point calculation failed: " + e.message);
-         return 0;
+         view.setPropertyValue("Lupton:BlackR", minimum[0], PropertyType_Float64, attributes);
+         view.setPropertyValue("Lupton:BlackG", minimum[1], PropertyType_Float64, attributes);
+         view.setPropertyValue("Lupton:BlackB", minimum[2], PropertyType_Float64, attributes);
       }
+      view.setPropertyValue("Lupton:Saturation", this.saturation, PropertyType_Float64, attributes);
+      view.setPropertyValue("Lupton:SaturationModel", this.saturationModel, PropertyType_String, attributes);
+      view.setPropertyValue("Lupton:ClippingMode", clipping, PropertyType_String, attributes);
+      if (this.clippingMode === 3 || this.clippingMode === 4)
+         view.setPropertyValue("Lupton:ClippingKnee", this.clippingKnee, PropertyType_Float64, attributes);
    };
 
-   // Process entire image (creates new window)
-   this.execute = function(targetWindow)
+   // Check that the selected output mode can write to targetView.
+   // Returns an error message, or null if the output is possible.
+   this.validateOutput = function(targetView)
    {
-      var startTime = new Date().getTime();
+      if (this.outputMode !== 1) return null;
+
+      if (this.usesSeparateChannels())
+         return "In-place output needs an RGB target view; separate masters always produce a new image";
+      if (!targetView || targetView.isNull)
+         return "No target view to stretch in place";
+      if (targetView.isPreview && this.usesLuminance())
+         return "LRGB stretching in place is only possible on a main view, not on preview '" +
+                targetView.id + "'";
+      if (targetView.isPreview && this.maskView !== null)
+         return "A selected mask only applies to main views; stretch preview '" + targetView.id +
+                "' through the window's own mask instead";
+      return null;
+   };
 
-      if (!targetWindow)
+   // Find the window to overwrite in replace mode: an existing window with
+   // the output id and geometry, in 32-bit float like a new output window,
+   // since the stretch passes need values above 1 between them. Returns
+   // null if there is none.
+   this.findReplaceableWindow = function(outputId, width, height)
+   {
+      var replacedWindow = ImageWindow.windowById(outputId);
+      if (replacedWindow.isNull) return null;
+
+      var image = replacedWindow.mainView.image;
+      if (image.width !== width || image.height !== height || image.numberOfChannels !== 3 ||
+          image.sampleType !== SampleType_Real || image.bitsPerSample !== 32)
       {
-         console.criticalln("Error: No target window specified");
+         console.warningln(format("Cannot replace '%s': it is not a %d x %d px 32-bit float RGB image; " +
+                                  "creating a new window", outputId, width, height));
          return null;
       }
+      return replacedWindow;
+   };
+
+   // Run the stretch on the full data. Depending on outputMode the result
+   // goes to a new window, replaces the target view's pixels (targetView
+   // defaults to the window's current view, so a selected preview is
+   // stretched alone), or overwrites the window of a previous run.
+   // Returns the output window, or null on failure.
+   this.execute = function(targetWindow, targetView)
+   {
+      var startTime = new Date().getTime();
+      var separate = this.usesSeparateChannels();
 
-      var sourceImage = targetWindow.mainView.image;
-      if (sourceImage.numberOfChannels < 3)
+      if (targetView === undefined)
+         targetView = (targetWindow && !targetWindow.isNull) ? targetWindow.currentView : null;
+
+      var inputError = this.validateInputs(targetWindow);
+      if (inputError === null)
+         inputError = this.validateParameters();
+      if (inputError === null)
+         inputError = this.validateOutput(targetView);
+      if (inputError !== null)
       {
-         console.criticalln("Error: Image must have at least 3 channels (RGB)");
+         console.criticalln("Error: " + inputError);
          return null;
       }
 
+      var inputs = this.getInputs(targetWindow);
+      if (this.saturationRamp && this.protectBackground)
+         this.measureBackground(inputs);
+
       console.writeln("<b>Lupton RGB Stretch</b>");
-      console.writeln("Processing: " + targetWindow.mainView.id);
-      console.writeln(format("Parameters: alpha=%.2f, Q=%.2f", this.stretch, this.Q));
+      if (this.usesPalette())
+         console.writeln("Processing: " + this.describePalette());
+      else if (separate)
+         console.writeln("Processing: R=" + this.imageR.id + ", G=" + this.imageG.id + ", B=" + this.imageB.id);
+      else
+         console.writeln("Processing: " + (this.outputMode === 1 ? targetView.fullId : targetWindow.mainView.id));
+      if (this.usesBackgroundModel() && this.fitBackgroundModel(inputs) === null)
+      {
+         console.criticalln("Error: The background model could not be fitted");
+         return null;
+      }
+      if (this.usesBackgroundModel() && this.neutralizeBackground && this.neutralPedestalDirection() === null)
+         console.warningln("Warning: The color matrix cannot make the background neutral; pedestals left as measured");
+      if (this.autoStretch && this.solveAutoStretch(inputs) === null)
+      {
+         console.criticalln("Error: Auto stretch could not solve \u03B1 and Q");
+         return null;
+      }
+      if (!this.autoStretch && this.usesPhysicalParameters())
+      {
+         this.measureNoise(inputs);
+         if (!this.stretchFromPhysical())
+         {
+            console.criticalln("Error: No background noise measured for the physical parameters");
+            return null;
+         }
+         console.writeln(format("Physical parameters: softening %.2f \u03C3 (\u03C3=%.3e), reference %.4f -> %.3f",
+                                this.softeningWidth, this.intensityNoise(), this.referenceFlux,
+                                this.referenceBrightness));
+      }
+      if (this.astropyCompatible)
+      {
+         console.writeln(format("Astropy make_lupton_rgb compatible: stretch=%.4f, Q=%.4f", this.stretch, this.Q));
+      }
+      else
+      {
+         console.writeln("Stretch: " + this.describeStretch());
+         console.writeln(format("Band weights: R=%.4f, G=%.4f, B=%.4f", this.weightR, this.weightG, this.weightB));
+         if (this.usesColorMatrix())
+            console.writeln("Color matrix: " + this.describeColorMatrix());
+         if (this.usesLuminance())
+            console.writeln(format("LRGB: L=%s, blend=%.2f", this.imageL.id, this.luminanceBlend));
+         if (this.saturationRamp)
+            console.writeln(format("Saturation ramp: threshold=%.4f%s, softness=%.4f",
+                                   this.saturationRampThreshold(), this.protectBackground ? " (background)" : "",
+                                   this.saturationSoftness));
+      }
 
-      var width = sourceImage.width;
-      var height = sourceImage.height;
+      var width = inputs.width;
+      var height = inputs.height;
 
-      // Create output window by cloning the source
-      var outputId = targetWindow.mainView.id + "_lupton";
+      // The script instance recorded in the processing history carries
+      // the parameters of this run
+      this.exportParameters();
+
+      // Resolve the output view. A window created here is closed again if
+      // processing fails; existing views are restored through undo.
+      var outputId = separate ? "LuptonRGB" : targetWindow.mainView.id + "_lupton";
       var outputWindow = null;
+      var createdWindow = null;
+      var outputView;
+      var processStarted = false;
+
+      if (this.outputMode === 1)
+      {
+         outputWindow = targetView.window;
+         outputView = targetView;
+         console.writeln("Output: in place");
+      }
+      else
+      {
+         if (this.outputMode === 2)
+            outputWindow = this.findReplaceableWindow(outputId, width, height);
+
+         if (outputWindow)
+         {
+            console.writeln("Output: replacing " + outputId);
+         }
+         else
+         {
+            outputWindow = createdWindow = new ImageWindow(
+               width,
+               height,
+               3,
+               32,  // 32-bit float
+               true, // float
+               true, // color
+               outputId
+            );
+            console.writeln("Output: " + outputWindow.mainView.id);
+         }
+         outputView = outputWindow.mainView;
+      }
 
       try
       {
-         // Create output window
-         outputWindow = new ImageWindow(
-            width,
-            height,
-            3,
-            32,  // 32-bit float
-            true, // float
-            true, // color
-            outputId
-         );
-
-         // Copy source to output
-         outputWindow.mainView.beginProcess(UndoFlag_NoSwapFile);
-         try {
-            outputWindow.mainView.image.apply(sourceImage);
-         } finally {
-            outputWindow.mainView.endProcess();
-         }
-
-         // Apply Lupton stretch using PixelMath (two-pass for reliability)
-         var alpha = this.stretch;
-         var Q = this.Q;
-
-         // The Lupton formula:
-         // I = (R+G+B)/3
-         // F(x) = asinh(alpha*Q*(x-min))/Q
-         // scale = F(I)/(I-min)
-         // out = (in - min) * scale
-
-         var minR = this.linkedChannels ? this.blackPoint : this.blackR;
-         var minG = this.linkedChannels ? this.blackPoint : this.blackG;
-         var minB = this.linkedChannels ? this.blackPoint : this.blackB;
-         var avgMin = (minR + minG + minB) / 3;
-
-         // Intensity calculation (same for all channels)
-         var intensity = "($T[0]+$T[1]+$T[2])/3";
-         var epsilon = 1e-10;
-
-         // Prevent Q from being too close to zero (causes division issues)
-         var safeQ = (Math.abs(Q) < 0.01) ? (Q >= 0 ? 0.01 : -0.01) : Q;
-
-         // F(I) = asinh(alpha*Q*(I-min))/Q using ln(x + sqrt(x^2+1))
-         var aQ = alpha * safeQ;
-         var arg = aQ + "*(" + intensity + "-" + avgMin + ")";
-         var FI = "ln(" + arg + "+sqrt(" + arg + "*" + arg + "+1))/" + safeQ;
-         // Add protection against division by very small denominators
-         var scale = "iif(" + intensity + ">" + (avgMin + epsilon) + "," + FI + "/max(" + epsilon + "," + intensity + "-" + avgMin + "),0)";
-
-         // Wrap all PixelMath passes in a single process block for proper undo
-         outputWindow.mainView.beginProcess(UndoFlag_NoSwapFile);
+         // New windows need no undo history; everything done to an existing
+         // view is a single undoable step
+         if (createdWindow)
+            outputView.beginProcess(UndoFlag_NoSwapFile);
+         else
+            outputView.beginProcess();
+         processStarted = true;
          try
          {
-            // PASS 1: Apply Lupton stretch (no clipping yet)
-            var P1 = new PixelMath;
-            P1.expression = "max(0,($T[0]-" + minR + ")*" + scale + ")";
-            P1.expression1 = "max(0,($T[1]-" + minG + ")*" + scale + ")";
-            P1.expression2 = "max(0,($T[2]-" + minB + ")*" + scale + ")";
-            P1.useSingleExpression = false;
-            P1.createNewImage = false;
-            P1.rescale = false;
-            P1.truncate = false;  // Don't truncate yet - preserve values > 1
-
-            console.writeln("Pass 1: Applying Lupton stretch...");
-            if (!P1.executeOn(outputWindow.mainView))
-               throw new Error("PixelMath pass 1 failed");
-
-            // PASS 2: Apply saturation adjustment if needed
-            if (Math.abs(this.saturation - 1.0) > 1e-6)
-            {
-               var sat = this.saturation;
-               var P2 = new PixelMath;
-               // lum = (R+G+B)/3, out = lum + (in - lum) * saturation
-               var lum = "($T[0]+$T[1]+$T[2])/3";
-               P2.expression = lum + "+($T[0]-" + lum + ")*" + sat;
-               P2.expression1 = lum + "+($T[1]-" + lum + ")*" + sat;
-               P2.expression2 = lum + "+($T[2]-" + lum + ")*" + sat;
-               P2.useSingleExpression = false;
-               P2.createNewImage = false;
-               P2.rescale = false;
-               P2.truncate = false;
-
-               console.writeln("Pass 2: Applying saturation...");
-               if (!P2.executeOn(outputWindow.mainView))
-                  throw new Error("PixelMath pass 2 failed");
-            }
-
-            // PASS 3: Apply clipping based on mode
-            var P3 = new PixelMath;
-            if (this.clippingMode === 0)
-            {
-               // Preserve Color: divide all channels by max(R,G,B) if any > 1
-               // This is the key Lupton feature - colors are preserved!
-               var maxRGB = "max($T[0],max($T[1],$T[2]))";
-               var clipScale = "iif(" + maxRGB + ">1,1/" + maxRGB + ",1)";
-               P3.expression = "max(0,$T[0]*" + clipScale + ")";
-               P3.expression1 = "max(0,$T[1]*" + clipScale + ")";
-               P3.expression2 = "max(0,$T[2]*" + clipScale + ")";
-               P3.rescale = false;
-               P3.truncate = true;
-               console.writeln("Pass 3: Applying color-preserving clip...");
-            }
-            else if (this.clippingMode === 1)
+            var mask = this.getMask(targetWindow);
+            if (this.outputMode === 1)
             {
-               // Hard clip each channel independently
-               P3.expression = "min(1,max(0,$T[0]))";
-               P3.expression1 = "min(1,max(0,$T[1]))";
-               P3.expression2 = "min(1,max(0,$T[2]))";
-               P3.rescale = false;
-               P3.truncate = true;
-               console.writeln("Pass 3: Applying hard clip...");
+               // A preview holds only part of the image; Rescale takes its
+               // levels from the whole image, as a full run would
+               var rescaleLevels = null;
+               if (outputView.isPreview && this.clippingMode === 2 && !this.astropyCompatible)
+               {
+                  rescaleLevels = this.measureSampledRescaleLevels(inputs);
+                  console.writeln(format("Rescale levels sampled from the whole image: R=%.4f, G=%.4f, B=%.4f",
+                                         rescaleLevels[0], rescaleLevels[1], rescaleLevels[2]));
+               }
+               this.applyInPlace(outputView, mask, rescaleLevels);
             }
             else
             {
-               // Rescale mode - let PixelMath handle it
-               P3.expression = "$T[0]";
-               P3.expression1 = "$T[1]";
-               P3.expression2 = "$T[2]";
-               P3.rescale = true;
-               P3.truncate = true;
-               console.writeln("Pass 3: Rescaling to fit...");
+               // Channel sources for pass 1. In RGB mode the output starts as
+               // a copy of the source.
+               var src, linear;
+               if (this.usesPalette())
+               {
+                  // The mixed palette becomes the linear RGB data
+                  this.applyPalettePixelMath(outputView);
+                  src = ["$T[0]", "$T[1]", "$T[2]"];
+                  linear = this.paletteExpressions();
+               }
+               else if (separate)
+               {
+                  src = [this.imageR.id, this.imageG.id, this.imageB.id];
+                  linear = src;
+               }
+               else
+               {
+                  outputView.image.apply(targetWindow.mainView.image);
+                  src = ["$T[0]", "$T[1]", "$T[2]"];
+                  var sourceId = targetWindow.mainView.id;
+                  linear = [sourceId + "[0]", sourceId + "[1]", sourceId + "[2]"];
+               }
+
+               this.applyStretchPixelMath(outputView, src, this.viewOrigin(outputView));
+               if (mask !== null)
+                  this.applyMaskPixelMath(outputView, mask, ["$T[0]", "$T[1]", "$T[2]"], linear);
             }
-            P3.useSingleExpression = false;
-            P3.createNewImage = false;
 
-            if (!P3.executeOn(outputWindow.mainView))
-               throw new Error("PixelMath pass 3 failed");
+            // Separate masters share their geometry, so the first master
+            // supplies the metadata of a combined image
+            if (this.outputMode !== 1)
+               this.copyMetadata(separate ? this.masterViews()[0].window : targetWindow, outputWindow);
+            if (!outputView.isPreview)
+               this.recordProcessing(outputWindow);
          }
          finally
          {
-            outputWindow.mainView.endProcess();
+            outputView.endProcess();
          }
 
          var elapsed = (new Date().getTime() - startTime) / 1000;
@@ -363,9 +3715,13 @@ function LuptonEngine()
       catch (e)
       {
          console.criticalln("Error during processing: " + e.message);
-         if (outputWindow)
+         if (createdWindow)
+         {
+            createdWindow.forceClose();
+         }
+         else if (processStarted)
          {
-            outputWindow.forceClose();
+            outputWindow.undo();
          }
          return null;
       }
@@ -374,18 +3730,22 @@ function LuptonEngine()
    // Generate preview bitmap
    this.generatePreview = function(sourceWindow, previewWidth, previewHeight, showBefore, splitPos, zoomLevel, panX, panY)
    {
-      if (!sourceWindow) return null;
-
-      var image = sourceWindow.mainView.image;
-      if (!image || image.numberOfChannels < 3) return null;
+      var inputs = this.getInputs(sourceWindow);
+      if (!inputs) return null;
+      if (this.saturationRamp && this.protectBackground && this.backgroundLevels === null)
+         this.measureBackground(inputs);
+      if (this.usesBackgroundModel())
+         this.ensureBackgroundModel(inputs);
+      if (this.clippingMode === 2 && !this.astropyCompatible)
+         this.measureSampledRescaleLevels(inputs);
 
       // Default zoom parameters
       if (zoomLevel === undefined) zoomLevel = 0;
       if (panX === undefined) panX = 0;
       if (panY === undefined) panY = 0;
 
-      var imgWidth = image.width;
-      var imgHeight = image.height;
+      var imgWidth = inputs.width;
+      var imgHeight = inputs.height;
 
       // Use actual preview size, capped at 800x600 for performance
       var maxPreviewW = Math.min(previewWidth, 800);
@@ -420,11 +3780,15 @@ function LuptonEngine()
          offsetY = Math.max(0, Math.min(imgHeight - actualHeight / zoomFactor, panY));
       }
 
+      var transfer = (showBefore !== 0) ? this.beforeTransfer(inputs) : null;
+
       // Create bitmap
       var bitmap = new Bitmap(actualWidth, actualHeight);
 
       // Pre-calculate constants for the loop
       var splitX = actualWidth * splitPos / 100;
+      var rampThreshold = this.saturationRampThreshold();
+      var pedestals = this.pixelPedestals();
 
       for (var py = 0; py < actualHeight; py++)
       {
@@ -439,9 +3803,10 @@ function LuptonEngine()
                : Math.min(Math.floor(offsetX + px * scale), imgWidth - 1);
 
             // Get source pixel
-            var r = image.sample(ix, iy, 0);
-            var g = image.sample(ix, iy, 1);
-            var b = image.sample(ix, iy, 2);
+            var r = inputs.images[0].sample(ix, iy, inputs.channels[0]);
+            var g = inputs.images[1].sample(ix, iy, inputs.channels[1]);
+            var b = inputs.images[2].sample(ix, iy, inputs.channels[2]);
+            var l = inputs.luminance ? inputs.luminance.sample(ix, iy, 0) : 0;
 
             var rOut, gOut, bOut;
 
@@ -450,15 +3815,32 @@ function LuptonEngine()
 
             if (isBefore)
             {
-               // Show original (with basic STF-like stretch for visibility)
-               rOut = Math.min(1, r * 10);
-               gOut = Math.min(1, g * 10);
-               bOut = Math.min(1, b * 10);
+               // Show the original through the Before view transfer functions
+               var before = this.beforePixel(r, g, b, transfer);
+               rOut = before[0];
+               gOut = before[1];
+               bOut = before[2];
             }
             else
             {
-               // Apply Lupton stretch
-               var result = this.processPixel(r, g, b);
+               // Apply Lupton stretch, or show the saturation weight map or
+               // the background model
+               var result;
+               var minima = this.pixelMinima(ix, iy, pedestals);
+               if (this.previewOverlay === 1)
+               {
+                  var weight = this.saturationWeight(this.stretchPixel(r, g, b, l, minima), rampThreshold);
+                  result = [weight, weight, weight];
+               }
+               else if (this.previewOverlay === 2 && this.usesBackgroundModel())
+               {
+                  result = this.backgroundModelDisplay(ix, iy);
+               }
+               else
+               {
+                  result = this.maskPixel(inputs, ix, iy, this.processPixel(r, g, b, l, minima, null, rampThreshold),
+                                          [r, g, b]);
+               }
                rOut = result[0];
                gOut = result[1];
                bOut = result[2];
@@ -476,86 +3858,672 @@ function LuptonEngine()
       return bitmap;
    };
 
-   // Generate preview at exact output size (for ScrollBox-based preview)
-   this.generatePreviewAtSize = function(sourceWindow, outWidth, outHeight, showBefore, splitPos)
+   // Area-averaged copy of the preview inputs at (up to) outWidth x
+   // outHeight: one Float32Array per R, G, B, L and mask channel, each
+   // cache pixel the mean of the source box it covers, plus the image
+   // position at each box center. Larger sizes keep the source resolution.
+   // A palette caches its masters instead of R, G and B, in masterPlanes;
+   // mixPreviewCache() mixes them into planes.
+   // Returns { key, width, height, x, y, planes, masterPlanes, mixKey,
+   // luminance, maskPlanes }.
+   this.buildPreviewCache = function(inputs, key, outWidth, outHeight)
+   {
+      var imgWidth = inputs.width;
+      var imgHeight = inputs.height;
+      var width = Math.min(outWidth, imgWidth);
+      var height = Math.min(outHeight, imgHeight);
+
+      // Box edges in image coordinates and the box centers
+      var x0 = new Int32Array(width + 1);
+      var y0 = new Int32Array(height + 1);
+      for (var i = 0; i <= width; i++)
+         x0[i] = Math.round(i * imgWidth / width);
+      for (var i = 0; i <= height; i++)
+         y0[i] = Math.round(i * imgHeight / height);
+      var centerX = new Int32Array(width);
+      var centerY = new Int32Array(height);
+      for (var i = 0; i < width; i++)
+         centerX[i] = (x0[i] + x0[i + 1] - 1) >> 1;
+      for (var i = 0; i < height; i++)
+         centerY[i] = (y0[i] + y0[i + 1] - 1) >> 1;
+
+      var sources = [];
+      if (this.usesPalette())
+      {
+         for (var i = 0; i < this.paletteViews.length; i++)
+            sources.push([this.paletteViews[i].image, 0]);
+      }
+      else
+      {
+         for (var c = 0; c < 3; c++)
+            sources.push([inputs.images[c], inputs.channels[c]]);
+      }
+      var masterCount = sources.length;
+      if (inputs.luminance)
+         sources.push([inputs.luminance, 0]);
+      var maskChannels = inputs.mask ? Math.min(3, inputs.mask.numberOfChannels) : 0;
+      for (var c = 0; c < maskChannels; c++)
+         sources.push([inputs.mask, c]);
+
+      var row = new Float32Array(imgWidth);
+      var planes = [];
+      for (var p = 0; p < sources.length; p++)
+      {
+         var plane = new Float32Array(width * height);
+         for (var cy = 0; cy < height; cy++)
+         {
+            var offset = cy * width;
+            for (var y = y0[cy]; y < y0[cy + 1]; y++)
+            {
+               sources[p][0].getSamples(row, new Rect(0, y, imgWidth, y + 1), sources[p][1]);
+               for (var cx = 0; cx < width; cx++)
+               {
+                  var sum = 0;
+                  for (var x = x0[cx]; x < x0[cx + 1]; x++)
+                     sum += row[x];
+                  plane[offset + cx] += sum;
+               }
+            }
+            var rows = y0[cy + 1] - y0[cy];
+            for (var cx = 0; cx < width; cx++)
+               plane[offset + cx] /= rows * (x0[cx + 1] - x0[cx]);
+         }
+         planes.push(plane);
+      }
+
+      return {
+         key: key,
+         width: width,
+         height: height,
+         x: centerX,
+         y: centerY,
+         planes: this.usesPalette() ? null : planes.slice(0, 3),
+         masterPlanes: this.usesPalette() ? planes.slice(0, masterCount) : null,
+         mixKey: "",
+         luminance: inputs.luminance ? planes[masterCount] : null,
+         maskPlanes: planes.slice(planes.length - maskChannels)
+      };
+   };
+
+   // Mix the palette masters of the preview cache into its R, G and B
+   // planes, again only when the mix has changed, so editing the palette
+   // does not read the masters again. The masters are averaged before the
+   // mix, so zoomed out, a dynamic palette shows the mix of the averages
+   // rather than the average of the mixed pixels.
+   this.mixPreviewCache = function(cache)
+   {
+      if (cache.masterPlanes === null) return;
+      var key = this.paletteMixKey();
+      if (cache.planes !== null && cache.mixKey === key) return;
+
+      var size = cache.width * cache.height;
+      if (cache.planes === null)
+         cache.planes = [new Float32Array(size), new Float32Array(size), new Float32Array(size)];
+      this.mixPaletteRows(cache.masterPlanes, size, cache.planes);
+      cache.mixKey = key;
+   };
+
+   // Histograms [r, g, b, I] of the preview cache inputs over [0, range]
+   // in bins bins, I being their intensity; values outside are left out.
+   // Returns null without a preview cache.
+   this.inputHistograms = function(range, bins)
    {
-      if (!sourceWindow) return null;
+      if (this.previewCache === null || this.previewCache.planes === null) return null;
+
+      var planes = this.previewCache.planes;
+      var histograms = [new Uint32Array(bins), new Uint32Array(bins), new Uint32Array(bins), new Uint32Array(bins)];
+      var binScale = bins / range;
+      var size = planes[0].length;
+      for (var i = 0; i < size; i++)
+      {
+         var values = [planes[0][i], planes[1][i], planes[2][i]];
+         values.push(this.computeIntensity(values[0], values[1], values[2]));
+         for (var c = 0; c < 4; c++)
+         {
+            var bin = Math.floor(values[c] * binScale);
+            if (bin >= 0 && bin < bins)
+               histograms[c][bin]++;
+         }
+      }
+      return histograms;
+   };
+
+   // Identifies what the preview cache was built from: the input views
+   // (the masters of a palette), L master, mask and output size
+   this.previewCacheKey = function(sourceWindow, inputs, outWidth, outHeight)
+   {
+      var ids = [];
+      for (var i = 0; i < inputs.views.length; i++)
+         ids.push(inputs.views[i].id);
+      var mask = this.getMask(sourceWindow);
+      return ids.join(",") + "|" + (this.usesPalette() ? "palette" : "") + "|" +
+             (this.usesLuminance() ? this.imageL.id : "") + "|" + (mask !== null ? mask.view.id : "") + "|" +
+             outWidth + "x" + outHeight;
+   };
+
+   // Generate preview at exact output size (for ScrollBox-based preview).
+   // The source is read once into previewCache for each target and zoom
+   // level; parameter changes only run the stretch over the cache. The
+   // dialog clears previewCache when the source pixels may have changed.
+   // A coarse pass (step > 1) computes every step-th cache pixel in each
+   // direction and repeats it over the step x step block.
+   // indicators is a mask of ClippingIndicators flags: After pixels with
+   // one of them are painted in its marker color. indicatorCounts counts
+   // the categories over the stretched After pixels computed, and
+   // outputHistogram holds the histograms of the After results of the
+   // whole cache.
+   this.generatePreviewAtSize = function(sourceWindow, outWidth, outHeight, showBefore, splitPos, step, indicators)
+   {
+      if (step === undefined || step < 1) step = 1;
+      if (indicators === undefined) indicators = 0;
+      this.indicatorCounts = null;
       if (outWidth <= 0 || outHeight <= 0) return null;
 
-      var image = sourceWindow.mainView.image;
-      if (!image || image.numberOfChannels < 3) return null;
+      var inputs = this.getInputs(sourceWindow);
+      if (!inputs)
+      {
+         this.outputHistogram = null;
+         return null;
+      }
+      if (this.saturationRamp && this.protectBackground && this.backgroundLevels === null)
+         this.measureBackground(inputs);
+      if (this.usesBackgroundModel())
+         this.ensureBackgroundModel(inputs);
+
+      var key = this.previewCacheKey(sourceWindow, inputs, outWidth, outHeight);
+      if (this.previewCache === null || this.previewCache.key !== key)
+         this.previewCache = this.buildPreviewCache(inputs, key, outWidth, outHeight);
+      var cache = this.previewCache;
+      this.mixPreviewCache(cache);
+      if (this.clippingMode === 2 && !this.astropyCompatible)
+         this.measureCacheRescaleLevels(cache);
+      var planes = cache.planes;
+      var transfer = (showBefore !== 0) ? this.beforeTransfer(inputs) : null;
+      var maskPlanes = cache.maskPlanes;
+      var rampThreshold = this.saturationRampThreshold();
+      var pedestals = this.pixelPedestals();
+      var status = { flags: 0 };
+      var counted = 0;
+      var counts = [];
+      for (var k = 0; k < ClippingIndicators.length; k++)
+         counts.push(0);
+      var histogram = [];
+      for (var c = 0; c < 4; c++)
+         histogram.push(new Uint32Array(OutputHistogramBins));
+      var lastBin = OutputHistogramBins - 1;
+
+      // Opaque colors of the cache pixels, computed on first use; zoomed
+      // in, several output pixels share one cache pixel
+      var size = cache.width * cache.height;
+      var beforeColors = new Uint32Array(size);
+      var afterColors = new Uint32Array(size);
+
+      var toColor = function(rOut, gOut, bOut)
+      {
+         var r8 = (rOut > 1 ? 255 : (rOut < 0 ? 0 : (rOut * 255 + 0.5) | 0));
+         var g8 = (gOut > 1 ? 255 : (gOut < 0 ? 0 : (gOut * 255 + 0.5) | 0));
+         var b8 = (bOut > 1 ? 255 : (bOut < 0 ? 0 : (bOut * 255 + 0.5) | 0));
+         return 0xff000000 | (r8 << 16) | (g8 << 8) | b8;
+      };
+
+      // After result of cache pixel i at image (ix, iy), blended with the
+      // linear values by the mask. Returns { result, amount }, amount
+      // being the largest mask weight (0: fully masked).
+      var engine = this;
+      var afterPixel = function(i, ix, iy)
+      {
+         var r = planes[0][i];
+         var g = planes[1][i];
+         var b = planes[2][i];
+         var l = cache.luminance ? cache.luminance[i] : 0;
+         var result = engine.processPixel(r, g, b, l, engine.pixelMinima(ix, iy, pedestals), status, rampThreshold);
+         var amount = 1;
+         if (maskPlanes.length > 0)
+         {
+            var linear = [r, g, b];
+            amount = 0;
+            for (var c = 0; c < 3; c++)
+            {
+               var m = maskPlanes[Math.min(c, maskPlanes.length - 1)][i];
+               if (inputs.maskInverted) m = 1 - m;
+               result[c] = m * result[c] + (1 - m) * linear[c];
+               amount = Math.max(amount, m);
+            }
+         }
+         return { result: result, amount: amount };
+      };
 
-      var imgWidth = image.width;
-      var imgHeight = image.height;
+      // Each cache pixel enters the output histogram once
+      var histogrammed = new Uint8Array(size);
+      var addToHistogram = function(i, result)
+      {
+         var values = [result[0], result[1], result[2], engine.computeIntensity(result[0], result[1], result[2])];
+         for (var c = 0; c < 4; c++)
+            histogram[c][Math.max(0, Math.min(lastBin, Math.floor(values[c] * OutputHistogramBins)))]++;
+         histogrammed[i] = 1;
+      };
 
       // Create bitmap at exact requested size
       var bitmap = new Bitmap(outWidth, outHeight);
 
-      // Calculate sampling scale
-      var scaleX = imgWidth / outWidth;
-      var scaleY = imgHeight / outHeight;
-
       // Pre-calculate split position
       var splitX = outWidth * splitPos / 100;
 
       for (var py = 0; py < outHeight; py++)
       {
-         var iy = Math.min(Math.floor(py * scaleY), imgHeight - 1);
+         var cy = Math.min(Math.floor(py * cache.height / outHeight), cache.height - 1);
+         cy -= cy % step;
+         var iy = cache.y[cy];
 
          for (var px = 0; px < outWidth; px++)
          {
-            var ix = Math.min(Math.floor(px * scaleX), imgWidth - 1);
-
-            // Get source pixel
-            var r = image.sample(ix, iy, 0);
-            var g = image.sample(ix, iy, 1);
-            var b = image.sample(ix, iy, 2);
-
-            var rOut, gOut, bOut;
+            var cx = Math.min(Math.floor(px * cache.width / outWidth), cache.width - 1);
+            cx -= cx % step;
+            var i = cy * cache.width + cx;
 
             // Determine if this pixel is in "before" or "after" region
             var isBefore = (showBefore === 1) || (showBefore === 2 && px < splitX);
+            var colors = isBefore ? beforeColors : afterColors;
 
-            if (isBefore)
-            {
-               // Show original (with basic STF-like stretch for visibility)
-               rOut = Math.min(1, r * 10);
-               gOut = Math.min(1, g * 10);
-               bOut = Math.min(1, b * 10);
-            }
-            else
+            if (colors[i] === 0)
             {
-               // Apply Lupton stretch
-               var result = this.processPixel(r, g, b);
-               rOut = result[0];
-               gOut = result[1];
-               bOut = result[2];
+               var r = planes[0][i];
+               var g = planes[1][i];
+               var b = planes[2][i];
+
+               if (isBefore)
+               {
+                  // Show the original through the Before view transfer functions
+                  var before = this.beforePixel(r, g, b, transfer);
+                  colors[i] = toColor(before[0], before[1], before[2]);
+               }
+               else
+               {
+                  // Apply Lupton stretch, or show the saturation weight map
+                  // or the background model
+                  var ix = cache.x[cx];
+                  var l = cache.luminance ? cache.luminance[i] : 0;
+                  var result;
+                  var minima = this.pixelMinima(ix, iy, pedestals);
+                  if (this.previewOverlay === 1)
+                  {
+                     var weight = this.saturationWeight(this.stretchPixel(r, g, b, l, minima), rampThreshold);
+                     result = [weight, weight, weight];
+                  }
+                  else if (this.previewOverlay === 2 && this.usesBackgroundModel())
+                  {
+                     result = this.backgroundModelDisplay(ix, iy);
+                  }
+                  else
+                  {
+                     var stretched = afterPixel(i, ix, iy);
+                     result = stretched.result;
+                     addToHistogram(i, result);
+
+                     // Fully masked pixels keep their linear values and
+                     // are neither counted nor marked
+                     if (stretched.amount > 0)
+                     {
+                        counted++;
+                        for (var k = 0; k < ClippingIndicators.length; k++)
+                           if (status.flags & ClippingIndicators[k].flag)
+                              counts[k]++;
+                        for (var k = 0; k < ClippingIndicators.length; k++)
+                           if (status.flags & indicators & ClippingIndicators[k].flag)
+                           {
+                              colors[i] = ClippingIndicators[k].color;
+                              break;
+                           }
+                     }
+                  }
+                  if (colors[i] === 0)
+                     colors[i] = toColor(result[0], result[1], result[2]);
+               }
             }
 
-            // Convert to 8-bit and create color
-            var r8 = (rOut > 1 ? 255 : (rOut < 0 ? 0 : (rOut * 255 + 0.5) | 0));
-            var g8 = (gOut > 1 ? 255 : (gOut < 0 ? 0 : (gOut * 255 + 0.5) | 0));
-            var b8 = (bOut > 1 ? 255 : (bOut < 0 ? 0 : (bOut * 255 + 0.5) | 0));
-
-            bitmap.setPixel(px, py, 0xff000000 | (r8 << 16) | (g8 << 8) | b8);
+            bitmap.setPixel(px, py, colors[i]);
          }
       }
 
+      if (counted > 0 && !this.astropyCompatible)
+         this.indicatorCounts = { pixels: counted, counts: counts };
+
+      // The output histogram covers the whole cache: a full-quality render
+      // stretches the pixels the view did not (Before side, overlays) for
+      // it; a coarse pass keeps the histogram of the last full render
+      if (step === 1)
+      {
+         for (var cy = 0; cy < cache.height; cy++)
+         {
+            for (var cx = 0; cx < cache.width; cx++)
+            {
+               var i = cy * cache.width + cx;
+               if (histogrammed[i] === 0)
+                  addToHistogram(i, afterPixel(i, cache.x[cx], cache.y[cy]).result);
+            }
+         }
+         this.outputHistogram = histogram;
+      }
       return bitmap;
    };
 
    // Reset to default values
    this.reset = function()
    {
-      this.stretch = 5.0;
-      this.Q = 8.0;
+      this.stretchFunction = "asinh";
+      for (var i = 0; i < StretchFunctions.length; i++)
+      {
+         var fnParams = StretchFunctions[i].parameters;
+         for (var j = 0; j < fnParams.length; j++)
+            this[fnParams[j].key] = fnParams[j].defaultValue;
+      }
+      this.autoStretch = false;
+      this.autoStretchBackground = 0.12;
+      this.autoStretchClipping = 0.0005;
+      this.physicalParameters = false;
+      this.softeningWidth = 20;
+      this.referenceFlux = 0.1;
+      this.referenceBrightness = 0.8;
       this.blackPoint = 0.0;
       this.blackR = 0.0;
       this.blackG = 0.0;
       this.blackB = 0.0;
       this.linkedChannels = true;
+      this.blackPointSigma = 2.8;
+      this.neutralizeBackground = false;
+      this.backgroundModel = false;
+      this.backgroundDegree = 2;
+      this.backgroundSamples = [];
+      this.backgroundSurface = null;
       this.saturation = 1.0;
+      this.saturationModel = "linear";
+      this.saturationRamp = false;
+      this.saturationThreshold = 0.1;
+      this.saturationSoftness = 0.1;
+      this.protectBackground = false;
       this.clippingMode = 0;
+      this.clippingKnee = 0.8;
+      this.rescalePercentile = 99.95;
+      this.rescaleLinked = true;
+      this.weightR = 1.0;
+      this.weightG = 1.0;
+      this.weightB = 1.0;
+      this.colorCalibration = false;
+      this.colorMatrix = identityColorMatrix();
+      this.intensityMode = 0;
+      this.intensityR = 1.0;
+      this.intensityG = 1.0;
+      this.intensityB = 1.0;
+      this.luminanceBlend = 1.0;
+      this.blackL = 0.0;
+      this.astropyCompatible = false;
+      this.outputMode = 0;
+      this.maskInverted = false;
+   };
+
+   // Store every parameter in the script instance, input views by id
+   this.exportParameters = function()
+   {
+      Parameters.set("stretchFunction", this.stretchFunction);
+      for (var i = 0; i < StretchFunctions.length; i++)
+      {
+         var fnParams = StretchFunctions[i].parameters;
+         for (var j = 0; j < fnParams.length; j++)
+            Parameters.set(fnParams[j].key, this[fnParams[j].key]);
+      }
+      Parameters.set("autoStretch", this.autoStretch);
+      Parameters.set("autoStretchBackground", this.autoStretchBackground);
+      Parameters.set("autoStretchClipping", this.autoStretchClipping);
+      Parameters.set("physicalParameters", this.physicalParameters);
+      Parameters.set("softeningWidth", this.softeningWidth);
+      Parameters.set("referenceFlux", this.referenceFlux);
+      Parameters.set("referenceBrightness", this.referenceBrightness);
+      Parameters.set("blackPoint", this.blackPoint);
+      Parameters.set("blackR", this.blackR);
+      Parameters.set("blackG", this.blackG);
+      Parameters.set("blackB", this.blackB);
+      Parameters.set("linkedChannels", this.linkedChannels);
+      Parameters.set("blackPointSigma", this.blackPointSigma);
+      Parameters.set("neutralizeBackground", this.neutralizeBackground);
+      Parameters.set("backgroundModel", this.backgroundModel);
+      Parameters.set("backgroundDegree", this.backgroundDegree);
+      var positions = [];
+      for (var i = 0; i < this.backgroundSamples.length; i++)
+         positions.push(this.backgroundSamples[i][0] + "," + this.backgroundSamples[i][1]);
+      Parameters.set("backgroundSamples", positions.join(";"));
+      Parameters.set("astropyCompatible", this.astropyCompatible);
+      Parameters.set("saturation", this.saturation);
+      Parameters.set("saturationModel", this.saturationModel);
+      Parameters.set("saturationRamp", this.saturationRamp);
+      Parameters.set("saturationThreshold", this.saturationThreshold);
+      Parameters.set("saturationSoftness", this.saturationSoftness);
+      Parameters.set("protectBackground", this.protectBackground);
+      Parameters.set("clippingMode", this.clippingMode);
+      Parameters.set("clippingKnee", this.clippingKnee);
+      Parameters.set("rescalePercentile", this.rescalePercentile);
+      Parameters.set("rescaleLinked", this.rescaleLinked);
+      Parameters.set("weightR", this.weightR);
+      Parameters.set("weightG", this.weightG);
+      Parameters.set("weightB", this.weightB);
+      Parameters.set("colorCalibration", this.colorCalibration);
+      var matrixRows = [];
+      for (var i = 0; i < 3; i++)
+         matrixRows.push(this.colorMatrix[i].join(","));
+      Parameters.set("colorMatrix", matrixRows.join(";"));
+      Parameters.set("intensityMode", this.intensityMode);
+      Parameters.set("intensityR", this.intensityR);
+      Parameters.set("intensityG", this.intensityG);
+      Parameters.set("intensityB", this.intensityB);
+      Parameters.set("outputMode", this.outputMode);
+      Parameters.set("useActiveImage", this.useActiveImage);
+      Parameters.set("imageR", (this.imageR && !this.imageR.isNull) ? this.imageR.id : "");
+      Parameters.set("imageG", (this.imageG && !this.imageG.isNull) ? this.imageG.id : "");
+      Parameters.set("imageB", (this.imageB && !this.imageB.isNull) ? this.imageB.id : "");
+      Parameters.set("imageL", (this.imageL && !this.imageL.isNull) ? this.imageL.id : "");
+      Parameters.set("usePalette", this.usePalette);
+      Parameters.set("palette", this.palette);
+      var ids = [];
+      for (var i = 0; i < this.paletteViews.length; i++)
+         ids.push(this.paletteViews[i].isNull ? "" : this.paletteViews[i].id);
+      Parameters.set("paletteViews", ids.join(","));
+      var rows = [];
+      for (var i = 0; i < this.paletteMatrix.length; i++)
+         rows.push(this.paletteMatrix[i].join(","));
+      Parameters.set("paletteMatrix", rows.join(";"));
+      Parameters.set("luminanceBlend", this.luminanceBlend);
+      Parameters.set("blackL", this.blackL);
+      Parameters.set("maskView", (this.maskView && !this.maskView.isNull) ? this.maskView.id : "");
+      Parameters.set("maskInverted", this.maskInverted);
+   };
+
+   // Look up an input view stored by id. An empty id means no view; an id
+   // that no longer exists is reported and treated as no view.
+   this.importView = function(key)
+   {
+      if (!Parameters.has(key)) return this[key];
+
+      var id = Parameters.getString(key);
+      if (id.length === 0) return null;
+
+      var view = View.viewById(id);
+      if (view.isNull)
+      {
+         console.warningln("Warning: " + key + " view '" + id + "' not found");
+         return null;
+      }
+      return view;
+   };
+
+   // True when the script instance holds parameters of this version or of
+   // an earlier one, whose icons store only some of the keys
+   this.hasStoredParameters = function()
+   {
+      var keys = ["stretchFunction", "blackPoint", "blackR", "blackG", "blackB", "linkedChannels",
+                  "saturation", "clippingMode"];
+      for (var i = 0; i < StretchFunctions.length; i++)
+      {
+         var fnParams = StretchFunctions[i].parameters;
+         for (var j = 0; j < fnParams.length; j++)
+            keys.push(fnParams[j].key);
+      }
+      for (var i = 0; i < keys.length; i++)
+         if (Parameters.has(keys[i]))
+            return true;
+      return false;
+   };
+
+   // Load parameters stored by exportParameters(); missing keys keep their
+   // current values
+   this.importParameters = function()
+   {
+      if (Parameters.has("stretchFunction"))
+         this.stretchFunction = Parameters.getString("stretchFunction");
+      for (var i = 0; i < StretchFunctions.length; i++)
+      {
+         var fnParams = StretchFunctions[i].parameters;
+         for (var j = 0; j < fnParams.length; j++)
+         {
+            if (Parameters.has(fnParams[j].key))
+               this[fnParams[j].key] = Parameters.getReal(fnParams[j].key);
+         }
+      }
+      if (Parameters.has("autoStretch"))
+         this.autoStretch = Parameters.getBoolean("autoStretch");
+      if (Parameters.has("autoStretchBackground"))
+         this.autoStretchBackground = Parameters.getReal("autoStretchBackground");
+      if (Parameters.has("autoStretchClipping"))
+         this.autoStretchClipping = Parameters.getReal("autoStretchClipping");
+      if (Parameters.has("physicalParameters"))
+         this.physicalParameters = Parameters.getBoolean("physicalParameters");
+      if (Parameters.has("softeningWidth"))
+         this.softeningWidth = Parameters.getReal("softeningWidth");
+      if (Parameters.has("referenceFlux"))
+         this.referenceFlux = Parameters.getReal("referenceFlux");
+      if (Parameters.has("referenceBrightness"))
+         this.referenceBrightness = Parameters.getReal("referenceBrightness");
+      if (Parameters.has("blackPoint"))
+         this.blackPoint = Parameters.getReal("blackPoint");
+      if (Parameters.has("blackR"))
+         this.blackR = Parameters.getReal("blackR");
+      if (Parameters.has("blackG"))
+         this.blackG = Parameters.getReal("blackG");
+      if (Parameters.has("blackB"))
+         this.blackB = Parameters.getReal("blackB");
+      if (Parameters.has("linkedChannels"))
+         this.linkedChannels = Parameters.getBoolean("linkedChannels");
+      if (Parameters.has("blackPointSigma"))
+         this.blackPointSigma = Parameters.getReal("blackPointSigma");
+      if (Parameters.has("neutralizeBackground"))
+         this.neutralizeBackground = Parameters.getBoolean("neutralizeBackground");
+      if (Parameters.has("backgroundModel"))
+         this.backgroundModel = Parameters.getBoolean("backgroundModel");
+      if (Parameters.has("backgroundDegree"))
+         this.backgroundDegree = Parameters.getInteger("backgroundDegree");
+      if (Parameters.has("backgroundSamples"))
+      {
+         // "x,y;x,y;..." image positions
+         this.backgroundSamples = [];
+         var positions = Parameters.getString("backgroundSamples").split(";");
+         for (var i = 0; i < positions.length; i++)
+         {
+            var xy = positions[i].split(",");
+            if (xy.length === 2)
+               this.backgroundSamples.push([parseInt(xy[0], 10), parseInt(xy[1], 10)]);
+         }
+      }
+      if (Parameters.has("astropyCompatible"))
+         this.astropyCompatible = Parameters.getBoolean("astropyCompatible");
+      if (Parameters.has("saturation"))
+         this.saturation = Parameters.getReal("saturation");
+      if (Parameters.has("saturationModel"))
+         this.saturationModel = Parameters.getString("saturationModel");
+      if (Parameters.has("saturationRamp"))
+         this.saturationRamp = Parameters.getBoolean("saturationRamp");
+      if (Parameters.has("saturationThreshold"))
+         this.saturationThreshold = Parameters.getReal("saturationThreshold");
+      if (Parameters.has("saturationSoftness"))
+         this.saturationSoftness = Parameters.getReal("saturationSoftness");
+      if (Parameters.has("protectBackground"))
+         this.protectBackground = Parameters.getBoolean("protectBackground");
+      if (Parameters.has("clippingMode"))
+         this.clippingMode = Parameters.getInteger("clippingMode");
+      if (Parameters.has("clippingKnee"))
+         this.clippingKnee = Parameters.getReal("clippingKnee");
+      if (Parameters.has("rescalePercentile"))
+         this.rescalePercentile = Parameters.getReal("rescalePercentile");
+      if (Parameters.has("rescaleLinked"))
+         this.rescaleLinked = Parameters.getBoolean("rescaleLinked");
+      if (Parameters.has("weightR"))
+         this.weightR = Parameters.getReal("weightR");
+      if (Parameters.has("weightG"))
+         this.weightG = Parameters.getReal("weightG");
+      if (Parameters.has("weightB"))
+         this.weightB = Parameters.getReal("weightB");
+      if (Parameters.has("colorCalibration"))
+         this.colorCalibration = Parameters.getBoolean("colorCalibration");
+      if (Parameters.has("colorMatrix"))
+      {
+         // "r,g,b;r,g,b;r,g,b" one row per output channel
+         var matrix = parseColorMatrix(Parameters.getString("colorMatrix"));
+         if (matrix !== null)
+            this.colorMatrix = matrix;
+         else
+            console.warningln("Warning: invalid color matrix parameter ignored");
+      }
+      if (Parameters.has("intensityMode"))
+         this.intensityMode = Parameters.getInteger("intensityMode");
+      if (Parameters.has("intensityR"))
+         this.intensityR = Parameters.getReal("intensityR");
+      if (Parameters.has("intensityG"))
+         this.intensityG = Parameters.getReal("intensityG");
+      if (Parameters.has("intensityB"))
+         this.intensityB = Parameters.getReal("intensityB");
+      if (Parameters.has("outputMode"))
+         this.outputMode = Parameters.getInteger("outputMode");
+      if (Parameters.has("useActiveImage"))
+         this.useActiveImage = Parameters.getBoolean("useActiveImage");
+      this.imageR = this.importView("imageR");
+      this.imageG = this.importView("imageG");
+      this.imageB = this.importView("imageB");
+      this.imageL = this.importView("imageL");
+      if (Parameters.has("usePalette"))
+         this.usePalette = Parameters.getBoolean("usePalette");
+      if (Parameters.has("palette"))
+         this.palette = Parameters.getString("palette");
+      if (Parameters.has("paletteViews"))
+      {
+         // "id,id,..." in master order; missing views are dropped
+         this.paletteViews = [];
+         var ids = Parameters.getString("paletteViews").split(",");
+         for (var i = 0; i < ids.length; i++)
+         {
+            if (ids[i].length === 0) continue;
+            var view = View.viewById(ids[i]);
+            if (view.isNull)
+               console.warningln("Warning: palette master view '" + ids[i] + "' not found");
+            else
+               this.paletteViews.push(view);
+         }
+      }
+      if (Parameters.has("paletteMatrix"))
+      {
+         // "r,g,b;r,g,b;..." one row per master
+         this.paletteMatrix = [];
+         var rows = Parameters.getString("paletteMatrix").split(";");
+         for (var i = 0; i < rows.length; i++)
+         {
+            var rgb = rows[i].split(",");
+            if (rgb.length === 3)
+               this.paletteMatrix.push([parseFloat(rgb[0]), parseFloat(rgb[1]), parseFloat(rgb[2])]);
+         }
+      }
+      if (Parameters.has("luminanceBlend"))
+         this.luminanceBlend = Parameters.getReal("luminanceBlend");
+      if (Parameters.has("blackL"))
+         this.blackL = Parameters.getReal("blackL");
+      this.maskView = this.importView("maskView");
+      if (Parameters.has("maskInverted"))
+         this.maskInverted = Parameters.getBoolean("maskInverted");
    };
 }
 
@@ -576,6 +4544,7 @@ function PreviewControl(parent, engine)
    this.previewMode = 0;  // 0: After, 1: Before, 2: Split
    this.splitPosition = 50;
    this.showCrosshair = false;
+   this.clippingIndicators = 0;  // ClippingIndicators flags marked in the After view
 
    // Zoom state
    this.zoom = 0;  // 0 = fit, 1 = 100%, 2 = 200%, -1 = 50%, etc.
@@ -633,6 +4602,19 @@ function PreviewControl(parent, engine)
          graphics.pen = new Pen(0xffffffff, 0);
          graphics.drawRect(-1, -1, self.scaledImage.width + 1, self.scaledImage.height + 1);
 
+         // Mark the clicked background model samples
+         if (self.engine.usesBackgroundModel() && self.engine.backgroundSamples.length > 0)
+         {
+            var size = Math.max(3, Math.round(self.engine.backgroundSampleRadius * self.scale));
+            graphics.pen = new Pen(0xffffff00, 1);
+            for (var i = 0; i < self.engine.backgroundSamples.length; i++)
+            {
+               var sx = Math.round((self.engine.backgroundSamples[i][0] + 0.5) * self.scale);
+               var sy = Math.round((self.engine.backgroundSamples[i][1] + 0.5) * self.scale);
+               graphics.drawRect(sx - size, sy - size, sx + size, sy + size);
+            }
+         }
+
          // Draw split line if in split mode
          if (self.previewMode === 2)
          {
@@ -690,15 +4672,13 @@ function PreviewControl(parent, engine)
          var px = (x - ox) / self.scale;
          var py = (y - oy) / self.scale;
 
-         var image = self.sourceWindow.mainView.image;
-         if (px >= 0 && px < image.width && py >= 0 && py < image.height)
+         var inputs = self.engine.getInputs(self.sourceWindow);
+         if (inputs && px >= 0 && px < inputs.width && py >= 0 && py < inputs.height)
          {
             var ix = Math.floor(px);
             var iy = Math.floor(py);
-            var r = image.sample(ix, iy, 0);
-            var g = image.sample(ix, iy, 1);
-            var b = image.sample(ix, iy, 2);
-            self.onCursorCallback(ix, iy, r, g, b);
+            var rgb = self.engine.readInputPixel(inputs, ix, iy);
+            self.onCursorCallback(ix, iy, rgb[0], rgb[1], rgb[2]);
          }
       }
    };
@@ -719,21 +4699,22 @@ function PreviewControl(parent, engine)
          var px = (x - ox) / self.scale;
          var py = (y - oy) / self.scale;
 
-         var image = self.sourceWindow.mainView.image;
-         if (px >= 0 && px < image.width && py >= 0 && py < image.height)
+         var inputs = self.engine.getInputs(self.sourceWindow);
+         if (inputs && px >= 0 && px < inputs.width && py >= 0 && py < inputs.height)
          {
             var ix = Math.floor(px);
             var iy = Math.floor(py);
-            var r = image.sample(ix, iy, 0);
-            var g = image.sample(ix, iy, 1);
-            var b = image.sample(ix, iy, 2);
+            var rgb = self.engine.readInputPixel(inputs, ix, iy);
 
             if (self.onSampleCallback)
-               self.onSampleCallback(r, g, b);
+               self.onSampleCallback(rgb[0], rgb[1], rgb[2], ix, iy);
          }
 
-         self.samplingMode = false;
-         this.cursor = new Cursor(StdCursor_Arrow);
+         if (!self.samplingContinuous)
+         {
+            self.samplingMode = false;
+            this.cursor = new Cursor(StdCursor_Arrow);
+         }
          return;
       }
 
@@ -781,6 +4762,7 @@ function PreviewControl(parent, engine)
 
    // Sampling mode
    this.samplingMode = false;
+   this.samplingContinuous = false;  // Stay in sampling mode after a click
    this.onSampleCallback = null;
    this.onCursorCallback = null;
    this.scrolling = null;
@@ -839,8 +4821,9 @@ function PreviewControl(parent, engine)
       this.scrollbox.viewport.update();
    };
 
-   // Regenerate the scaled preview image
-   this.regenerateScaledImage = function()
+   // Regenerate the scaled preview image, computing every step-th pixel
+   // in each direction (default 1, full quality)
+   this.regenerateScaledImage = function(step)
    {
       this.scaledImage = null;
       if (!this.sourceWindow) return;
@@ -858,7 +4841,9 @@ function PreviewControl(parent, engine)
          outWidth,
          outHeight,
          showBefore,
-         this.splitPosition
+         this.splitPosition,
+         step,
+         this.clippingIndicators
       );
    };
 
@@ -869,7 +4854,7 @@ function PreviewControl(parent, engine)
    };
 
    // Update the preview (regenerate and redraw)
-   this.updatePreview = function()
+   this.updatePreview = function(step)
    {
       if (!this.sourceWindow)
       {
@@ -882,7 +4867,7 @@ function PreviewControl(parent, engine)
          return;
 
       this.SetZoomOutLimit();
-      this.regenerateScaledImage();
+      this.regenerateScaledImage(step);
 
       if (this.scaledImage)
       {
@@ -943,6 +4928,240 @@ function PreviewControl(parent, engine)
 
 PreviewControl.prototype = new Frame;
 
+// ============================================================================
+// Histogram Control
+// ============================================================================
+
+// Histograms of the preview: the inputs from the preview cache or the
+// output of the last After view, with R, G, B and intensity curves. The
+// horizontal axis shows [0, 1/zoom]. In input mode, draggable markers
+// edit the black points; onMarkerMoved(key, value) is called with the
+// engine key ("blackPoint", "blackR", "blackG" or "blackB") set while
+// dragging.
+function HistogramControl(parent, engine)
+{
+   this.__base__ = Control;
+   this.__base__(parent);
+
+   this.engine = engine;
+   this.showOutput = false;   // false: input histogram, true: output histogram
+   this.logScale = false;     // Logarithmic counts
+   this.zoom = 1;             // Horizontal zoom on the low end (1 - 64, powers of 2)
+   this.maxBlackPoint = 0.01; // Largest black point the markers can set (the black point control range)
+   this.onMarkerMoved = null;
+   this.dragging = null;      // Key of the marker being dragged
+
+   // Input histograms are recomputed only for a new cache, range or width
+   this.inputCache = null;
+   this.inputRange = 0;
+   this.inputHistograms = null;
+
+   this.margin = 4;
+
+   var self = this;
+
+   var curveColors = [0xffff4040, 0xff40d040, 0xff4080ff, 0xffd0d0d0];
+
+   // Histograms [r, g, b, I] resampled to one bin per plot column, or null
+   this.plotHistograms = function(bins)
+   {
+      var range = 1 / this.zoom;
+      if (!this.showOutput)
+      {
+         if (this.inputHistograms === null || this.inputCache !== this.engine.previewCache ||
+             this.inputRange !== range || this.inputHistograms[0].length !== bins)
+         {
+            this.inputCache = this.engine.previewCache;
+            this.inputRange = range;
+            this.inputHistograms = this.engine.inputHistograms(range, bins);
+         }
+         return this.inputHistograms;
+      }
+
+      var output = this.engine.outputHistogram;
+      if (output === null) return null;
+      // Sum the output bins in each column, or repeat them over several
+      // columns when zoomed in further than they resolve
+      var histograms = [];
+      var sourceBins = Math.round(OutputHistogramBins * range);
+      for (var c = 0; c < 4; c++)
+      {
+         var counts = new Float64Array(bins);
+         if (sourceBins >= bins)
+         {
+            for (var i = 0; i < sourceBins; i++)
+               counts[Math.floor(i * bins / sourceBins)] += output[c][i];
+         }
+         else
+         {
+            for (var i = 0; i < bins; i++)
+               counts[i] = output[c][Math.floor(i * sourceBins / bins)];
+         }
+         histograms.push(counts);
+      }
+      return histograms;
+   };
+
+   // Black point markers shown in input mode: [{ key, value, color }]
+   this.markers = function()
+   {
+      if (this.showOutput || this.engine.usesBackgroundModel()) return [];
+      if (this.engine.linkedChannels)
+         return [{ key: "blackPoint", value: this.engine.blackPoint, color: 0xffffffff }];
+      return [
+         { key: "blackR", value: this.engine.blackR, color: curveColors[0] },
+         { key: "blackG", value: this.engine.blackG, color: curveColors[1] },
+         { key: "blackB", value: this.engine.blackB, color: curveColors[2] }
+      ];
+   };
+
+   this.plotWidth = function()
+   {
+      return Math.max(1, this.width - 2 * this.margin);
+   };
+
+   // Zoom at which the marker range [0, maxBlackPoint] spans at least a
+   // quarter of the axis, so the markers move in fine steps
+   this.markerZoom = function()
+   {
+      var zoom = 1;
+      while (zoom < 64 && zoom * this.maxBlackPoint < 0.25)
+         zoom *= 2;
+      return zoom;
+   };
+
+   this.valueToX = function(value)
+   {
+      return this.margin + value * this.zoom * this.plotWidth();
+   };
+
+   this.xToValue = function(x)
+   {
+      return (x - this.margin) / (this.zoom * this.plotWidth());
+   };
+
+   // Marker within a few pixels of x, or null
+   this.markerAt = function(x)
+   {
+      var markers = this.markers();
+      var best = null;
+      var bestDistance = 6;
+      for (var i = 0; i < markers.length; i++)
+      {
+         var distance = Math.abs(this.valueToX(markers[i].value) - x);
+         if (distance < bestDistance)
+         {
+            best = markers[i];
+            bestDistance = distance;
+         }
+      }
+      return best;
+   };
+
+   this.onPaint = function(x0, y0, x1, y1)
+   {
+      var graphics = new VectorGraphics(this);
+      graphics.fillRect(0, 0, this.width, this.height, new Brush(0xff202020));
+
+      var left = self.margin;
+      var top = self.margin;
+      var width = self.plotWidth();
+      var height = Math.max(1, this.height - 2 * self.margin);
+      var bottom = top + height;
+
+      // Quarter grid of the displayed range
+      graphics.pen = new Pen(0xff404040, 0);
+      for (var i = 1; i < 4; i++)
+      {
+         var gx = left + Math.round(i * width / 4);
+         graphics.drawLine(gx, top, gx, bottom);
+      }
+
+      var histograms = self.plotHistograms(width);
+      if (histograms === null)
+      {
+         graphics.pen = new Pen(0xff888888);
+         graphics.drawText(left + 4, top + 14, self.showOutput ? "No After view rendered" : "No image loaded");
+         graphics.end();
+         return;
+      }
+
+      var peak = 1;
+      for (var c = 0; c < 4; c++)
+         for (var i = 0; i < width; i++)
+            peak = Math.max(peak, histograms[c][i]);
+      var scaleCount = function(count)
+      {
+         return self.logScale ? Math.log(1 + count) / Math.log(1 + peak) : count / peak;
+      };
+
+      graphics.antialiasing = true;
+      for (var c = 0; c < 4; c++)
+      {
+         graphics.pen = new Pen(curveColors[c], 1);
+         var previousY = bottom - scaleCount(histograms[c][0]) * height;
+         for (var i = 1; i < width; i++)
+         {
+            var y = bottom - scaleCount(histograms[c][i]) * height;
+            graphics.drawLine(left + i - 1, previousY, left + i, y);
+            previousY = y;
+         }
+      }
+      graphics.antialiasing = false;
+
+      var markers = self.markers();
+      for (var i = 0; i < markers.length; i++)
+      {
+         var mx = Math.round(self.valueToX(markers[i].value));
+         graphics.pen = new Pen(markers[i].color, (markers[i].key === self.dragging) ? 2 : 1);
+         graphics.drawLine(mx, top, mx, bottom);
+      }
+
+      graphics.pen = new Pen(0xffcccccc);
+      graphics.drawText(left + 4, top + 12, (self.showOutput ? "Output" : "Input") +
+         format(" 0 - %.5g", 1 / self.zoom) + (self.logScale ? " (log)" : ""));
+
+      graphics.end();
+   };
+
+   this.onMousePress = function(x, y, button, buttonState, modifiers)
+   {
+      if (button != MouseButton_Left) return;
+      var marker = self.markerAt(x);
+      if (marker !== null)
+      {
+         self.dragging = marker.key;
+         self.update();
+      }
+   };
+
+   this.onMouseMove = function(x, y, buttonState, modifiers)
+   {
+      if (self.dragging === null)
+      {
+         this.cursor = new Cursor((self.markerAt(x) !== null) ? StdCursor_SizeHor : StdCursor_Arrow);
+         return;
+      }
+
+      var value = Math.max(0, Math.min(self.maxBlackPoint, self.xToValue(x)));
+      self.engine[self.dragging] = value;
+      if (self.onMarkerMoved)
+         self.onMarkerMoved(self.dragging, value);
+      self.update();
+   };
+
+   this.onMouseRelease = function(x, y, button, buttonState, modifiers)
+   {
+      if (self.dragging !== null)
+      {
+         self.dragging = null;
+         self.update();
+      }
+   };
+}
+
+HistogramControl.prototype = new Control;
+
 // ============================================================================
 // Main Dialog
 // ============================================================================
@@ -956,7 +5175,7 @@ function LuptonDialog(engine)
    this.targetWindow = null;
 
    this.windowTitle = TITLE + " v" + VERSION;
-   this.minWidth = 850;
+   this.minWidth = 1100;
    this.minHeight = 550;
 
    // -------------------------------------------------------------------------
@@ -998,9 +5217,7 @@ function LuptonDialog(engine)
    {
       this.dialog.engine.useActiveImage = checked;
       this.dialog.targetImageCombo.enabled = !checked;
-      this.dialog.imageRCombo.enabled = !checked;
-      this.dialog.imageGCombo.enabled = !checked;
-      this.dialog.imageBCombo.enabled = !checked;
+      this.dialog.updatePaletteControls();
       this.dialog.updateTargetWindow();
    };
 
@@ -1012,7 +5229,12 @@ function LuptonDialog(engine)
 
    this.imageRCombo = new ComboBox(this);
    this.imageRCombo.enabled = !this.engine.useActiveImage;
-   this.imageRCombo.toolTip = "Select image for red channel";
+   this.imageRCombo.toolTip = "Select mono image for red channel";
+   this.imageRCombo.onItemSelected = function(index)
+   {
+      this.dialog.engine.imageR = this.dialog.viewForComboIndex(index);
+      this.dialog.updateTargetWindow();
+   };
 
    this.imageGLabel = new Label(this);
    this.imageGLabel.text = "G:";
@@ -1021,7 +5243,12 @@ function LuptonDialog(engine)
 
    this.imageGCombo = new ComboBox(this);
    this.imageGCombo.enabled = !this.engine.useActiveImage;
-   this.imageGCombo.toolTip = "Select image for green channel";
+   this.imageGCombo.toolTip = "Select mono image for green channel";
+   this.imageGCombo.onItemSelected = function(index)
+   {
+      this.dialog.engine.imageG = this.dialog.viewForComboIndex(index);
+      this.dialog.updateTargetWindow();
+   };
 
    this.imageBLabel = new Label(this);
    this.imageBLabel.text = "B:";
@@ -1030,7 +5257,171 @@ function LuptonDialog(engine)
 
    this.imageBCombo = new ComboBox(this);
    this.imageBCombo.enabled = !this.engine.useActiveImage;
-   this.imageBCombo.toolTip = "Select image for blue channel";
+   this.imageBCombo.toolTip = "Select mono image for blue channel";
+   this.imageBCombo.onItemSelected = function(index)
+   {
+      this.dialog.engine.imageB = this.dialog.viewForComboIndex(index);
+      this.dialog.updateTargetWindow();
+   };
+
+   // Narrowband palette: masters in Ha, OIII, SII order, each with the
+   // weights it adds to R, G and B
+   this.paletteCheckbox = new CheckBox(this);
+   this.paletteCheckbox.text = "Mix narrowband palette";
+   this.paletteCheckbox.checked = this.engine.usePalette;
+   this.paletteCheckbox.toolTip = "<p>Mix any number of mono masters into R, G and B ahead of the stretch, " +
+      "instead of taking one master per channel.</p>";
+   this.paletteCheckbox.onCheck = function(checked)
+   {
+      var engine = this.dialog.engine;
+      engine.usePalette = checked;
+      if (checked && engine.paletteViews.length === 0)
+      {
+         engine.paletteViews = this.dialog.guessPaletteViews();
+         engine.applyPalettePreset();
+      }
+      this.dialog.updatePaletteControls();
+      this.dialog.updateTargetWindow();
+   };
+
+   this.paletteLabel = new Label(this);
+   this.paletteLabel.text = "Palette:";
+   this.paletteLabel.textAlignment = TextAlign_Right | TextAlign_VertCenter;
+   this.paletteLabel.setFixedWidth(45);
+
+   this.paletteCombo = new ComboBox(this);
+   for (var i = 0; i < PaletteMixes.length; i++)
+      this.paletteCombo.addItem(PaletteMixes[i].name);
+   this.paletteCombo.toolTip = "Mix preset; editing a weight switches to the custom matrix";
+   this.paletteCombo.onItemSelected = function(index)
+   {
+      this.dialog.engine.palette = PaletteMixes[index].id;
+      this.dialog.engine.applyPalettePreset();
+      this.dialog.updatePaletteControls();
+      this.dialog.updateTargetWindow(true);
+   };
+
+   var paletteSizer = new HorizontalSizer;
+   paletteSizer.spacing = 4;
+   paletteSizer.add(this.paletteLabel);
+   paletteSizer.add(this.paletteCombo, 100);
+
+   this.paletteHeaderLabel = new Label(this);
+   this.paletteHeaderLabel.text = "Masters (Ha, OIII, SII, ...) and their R, G, B weights:";
+
+   // One row per master plus an empty row to add the next one
+   this.createPaletteRow = function(index)
+   {
+      var row = {};
+
+      row.label = new Label(this);
+      row.label.text = format("%d:", index + 1);
+      row.label.textAlignment = TextAlign_Right | TextAlign_VertCenter;
+      row.label.setFixedWidth(20);
+
+      row.combo = new ComboBox(this);
+      row.combo.toolTip = "Mono master; <none> removes it from the palette";
+      row.combo.onItemSelected = function(item)
+      {
+         var engine = this.dialog.engine;
+         var view = this.dialog.viewForComboIndex(item);
+         if (index < engine.paletteViews.length)
+         {
+            if (view === null)
+            {
+               engine.paletteViews.splice(index, 1);
+               engine.paletteMatrix.splice(index, 1);
+            }
+            else
+            {
+               engine.paletteViews[index] = view;
+            }
+         }
+         else if (view !== null)
+         {
+            engine.paletteViews.push(view);
+         }
+         engine.applyPalettePreset();
+         this.dialog.updatePaletteControls();
+         this.dialog.updateTargetWindow();
+      };
+
+      row.sizer = new HorizontalSizer;
+      row.sizer.spacing = 4;
+      row.sizer.add(row.label);
+      row.sizer.add(row.combo, 100);
+
+      row.weights = [];
+      for (var c = 0; c < 3; c++)
+      {
+         var edit = new NumericEdit(this);
+         edit.label.text = ["R", "G", "B"][c];
+         edit.setReal(true);
+         edit.setRange(-5, 5);
+         edit.setPrecision(2);
+         edit.edit.setFixedWidth(45);
+         edit.toolTip = "Weight of this master in the " + ["red", "green", "blue"][c] + " channel";
+         edit.onValueUpdated = (function(channel)
+         {
+            return function(value)
+            {
+               var dialog = this.dialog;
+               if (index >= dialog.engine.paletteMatrix.length) return;
+               dialog.engine.paletteMatrix[index][channel] = value;
+               dialog.engine.palette = "custom";
+               dialog.paletteCombo.currentItem = PaletteMixes.indexOf(findPaletteMix("custom"));
+               dialog.updateTargetWindow(true);
+            };
+         })(c);
+         row.weights.push(edit);
+         row.sizer.add(edit);
+      }
+
+      return row;
+   };
+
+   // Rows are added as masters are: updatePaletteControls() keeps one
+   // more row than there are masters
+   this.paletteRows = [];
+   this.paletteRowsSizer = new VerticalSizer;
+   this.paletteRowsSizer.spacing = 4;
+
+   this.ensurePaletteRows = function(count)
+   {
+      while (this.paletteRows.length < count)
+      {
+         var row = this.createPaletteRow(this.paletteRows.length);
+         row.combo.addItem("<none>");
+         var windows = ImageWindow.windows;
+         for (var i = 0; i < windows.length; i++)
+            row.combo.addItem(windows[i].mainView.id);
+         this.paletteRows.push(row);
+         this.paletteRowsSizer.add(row.sizer);
+      }
+   };
+   this.ensurePaletteRows(4);
+
+   // Pick masters from the open windows by id: Ha, then OIII, then SII,
+   // stopping at the first one missing so the palette order holds
+   this.guessPaletteViews = function()
+   {
+      var patterns = [/(^|[^A-Za-z])(Ha|H_?alpha)([^A-Za-z]|$)/i, /(OIII|O3)([^A-Za-z0-9]|$)/i, /(SII|S2)([^A-Za-z0-9]|$)/i];
+      var windows = ImageWindow.windows;
+      var views = [];
+      for (var p = 0; p < patterns.length; p++)
+      {
+         var found = null;
+         for (var i = 0; i < windows.length && found === null; i++)
+         {
+            var view = windows[i].mainView;
+            if (view.image.numberOfChannels === 1 && patterns[p].test(view.id))
+               found = view;
+         }
+         if (found === null) break;
+         views.push(found);
+      }
+      return views;
+   };
 
    // Populate image lists
    this.populateImageLists = function()
@@ -1040,11 +5431,19 @@ function LuptonDialog(engine)
       this.imageRCombo.clear();
       this.imageGCombo.clear();
       this.imageBCombo.clear();
+      this.imageLCombo.clear();
+      this.maskCombo.clear();
+      for (var j = 0; j < this.paletteRows.length; j++)
+         this.paletteRows[j].combo.clear();
 
       this.targetImageCombo.addItem("<select>");
       this.imageRCombo.addItem("<select>");
       this.imageGCombo.addItem("<select>");
       this.imageBCombo.addItem("<select>");
+      this.imageLCombo.addItem("<none>");
+      this.maskCombo.addItem("<target mask>");
+      for (var j = 0; j < this.paletteRows.length; j++)
+         this.paletteRows[j].combo.addItem("<none>");
 
       for (var i = 0; i < windows.length; i++)
       {
@@ -1053,22 +5452,86 @@ function LuptonDialog(engine)
          this.imageRCombo.addItem(id);
          this.imageGCombo.addItem(id);
          this.imageBCombo.addItem(id);
+         this.imageLCombo.addItem(id);
+         this.maskCombo.addItem(id);
+         for (var j = 0; j < this.paletteRows.length; j++)
+            this.paletteRows[j].combo.addItem(id);
+      }
+
+      // Select current target window in combo if available
+      if (this.targetWindow)
+         this.selectComboView(this.targetImageCombo, this.targetWindow.mainView);
+
+      this.selectComboView(this.imageRCombo, this.engine.imageR);
+      this.selectComboView(this.imageGCombo, this.engine.imageG);
+      this.selectComboView(this.imageBCombo, this.engine.imageB);
+      this.selectComboView(this.imageLCombo, this.engine.imageL);
+      this.selectComboView(this.maskCombo, this.engine.maskView);
+      for (var j = 0; j < this.paletteRows.length; j++)
+      {
+         if (j < this.engine.paletteViews.length)
+            this.selectComboView(this.paletteRows[j].combo, this.engine.paletteViews[j]);
+         else
+            this.paletteRows[j].combo.currentItem = 0;
       }
+   };
 
-      // Select current target window in combo if available
-      if (this.targetWindow)
+   // Map a combo box index (0 = "<select>") to the main view of that window
+   this.viewForComboIndex = function(index)
+   {
+      var windows = ImageWindow.windows;
+      if (index > 0 && index - 1 < windows.length)
+         return windows[index - 1].mainView;
+      return null;
+   };
+
+   // Select the item for the given view in an image combo box
+   this.selectComboView = function(combo, view)
+   {
+      if (!view || view.isNull) return;
+
+      var windows = ImageWindow.windows;
+      for (var i = 0; i < windows.length; i++)
       {
-         for (var i = 0; i < windows.length; i++)
+         if (windows[i].mainView.id === view.id)
          {
-            if (windows[i].mainView.id === this.targetWindow.mainView.id)
-            {
-               this.targetImageCombo.currentItem = i + 1;
-               break;
-            }
+            combo.currentItem = i + 1;
+            break;
          }
       }
    };
 
+   this.imageLLabel = new Label(this);
+   this.imageLLabel.text = "L:";
+   this.imageLLabel.textAlignment = TextAlign_Right | TextAlign_VertCenter;
+   this.imageLLabel.setFixedWidth(20);
+
+   this.imageLCombo = new ComboBox(this);
+   this.imageLCombo.toolTip = "<p>Optional luminance master (LRGB Lupton mode).</p>" +
+      "<p>When selected, the stretch intensity is computed from L while the " +
+      "color ratios come from the RGB data.</p>";
+   this.imageLCombo.onItemSelected = function(index)
+   {
+      this.dialog.engine.imageL = this.dialog.viewForComboIndex(index);
+      this.dialog.updateLuminanceControls();
+      this.dialog.updateTargetWindow();
+   };
+
+   this.luminanceBlendControl = new NumericControl(this);
+   this.luminanceBlendControl.label.text = "L blend:";
+   this.luminanceBlendControl.label.setFixedWidth(45);
+   this.luminanceBlendControl.setRange(0, 1);
+   this.luminanceBlendControl.slider.setRange(0, 100);
+   this.luminanceBlendControl.slider.minWidth = 150;
+   this.luminanceBlendControl.setPrecision(2);
+   this.luminanceBlendControl.setValue(this.engine.luminanceBlend);
+   this.luminanceBlendControl.toolTip = "Intensity source: 0 = RGB-derived intensity, 1 = luminance master";
+   this.luminanceBlendControl.onValueUpdated = function(value)
+   {
+      this.dialog.engine.luminanceBlend = value;
+      this.dialog.schedulePreviewUpdate();
+   };
+
    var rSizer = new HorizontalSizer;
    rSizer.spacing = 4;
    rSizer.add(this.imageRLabel);
@@ -1084,6 +5547,11 @@ function LuptonDialog(engine)
    bSizer.add(this.imageBLabel);
    bSizer.add(this.imageBCombo, 100);
 
+   var lSizer = new HorizontalSizer;
+   lSizer.spacing = 4;
+   lSizer.add(this.imageLLabel);
+   lSizer.add(this.imageLCombo, 100);
+
    // Set initial enabled state for target combo
    this.targetImageCombo.enabled = !this.engine.useActiveImage;
 
@@ -1094,53 +5562,314 @@ function LuptonDialog(engine)
    this.inputGroup.sizer.spacing = 4;
    this.inputGroup.sizer.add(targetSizer);
    this.inputGroup.sizer.add(this.useActiveCheckbox);
+   this.inputGroup.sizer.add(this.paletteCheckbox);
    this.inputGroup.sizer.add(rSizer);
    this.inputGroup.sizer.add(gSizer);
    this.inputGroup.sizer.add(bSizer);
+   this.inputGroup.sizer.add(paletteSizer);
+   this.inputGroup.sizer.add(this.paletteHeaderLabel);
+   this.inputGroup.sizer.add(this.paletteRowsSizer);
+   this.inputGroup.sizer.add(lSizer);
+   this.inputGroup.sizer.add(this.luminanceBlendControl);
 
    // --- Stretch Parameters Group ---
-   this.stretchControl = new NumericControl(this);
-   this.stretchControl.label.text = "Stretch (\u03B1):";
-   this.stretchControl.label.setFixedWidth(80);
-   this.stretchControl.setRange(0.1, 1000.0);
-   this.stretchControl.slider.setRange(0, 10000);
-   this.stretchControl.slider.minWidth = 150;
-   this.stretchControl.setPrecision(2);
-   this.stretchControl.setValue(this.engine.stretch);
-   this.stretchControl.toolTip = "Linear amplification factor. Higher = brighter image";
-   this.stretchControl.onValueUpdated = function(value)
-   {
-      this.dialog.engine.stretch = value;
+   this.stretchFunctionLabel = new Label(this);
+   this.stretchFunctionLabel.text = "Function:";
+   this.stretchFunctionLabel.textAlignment = TextAlign_Right | TextAlign_VertCenter;
+   this.stretchFunctionLabel.setFixedWidth(80);
+
+   this.stretchFunctionCombo = new ComboBox(this);
+   for (var i = 0; i < StretchFunctions.length; i++)
+      this.stretchFunctionCombo.addItem(StretchFunctions[i].name);
+   this.stretchFunctionCombo.toolTip = "Color-preserving stretch function applied to the intensity";
+   this.stretchFunctionCombo.onItemSelected = function(index)
+   {
+      this.dialog.engine.stretchFunction = StretchFunctions[index].id;
+      this.dialog.updateStretchControls();
+      this.dialog.schedulePreviewUpdate();
+   };
+
+   var stretchFunctionSizer = new HorizontalSizer;
+   stretchFunctionSizer.spacing = 4;
+   stretchFunctionSizer.add(this.stretchFunctionLabel);
+   stretchFunctionSizer.add(this.stretchFunctionCombo, 100);
+
+   // One NumericControl per stretch function parameter, built from the
+   // registry; updateStretchControls() shows those of the selected function
+   this.stretchParamControls = {};
+   for (var i = 0; i < StretchFunctions.length; i++)
+   {
+      var fnParams = StretchFunctions[i].parameters;
+      for (var j = 0; j < fnParams.length; j++)
+      {
+         var param = fnParams[j];
+         var control = new NumericControl(this);
+         control.parameterKey = param.key;
+         control.label.text = param.label;
+         control.label.setFixedWidth(80);
+         control.setRange(param.min, param.max);
+         control.slider.setRange(0, param.sliderRange);
+         control.slider.minWidth = 150;
+         control.setPrecision(param.precision);
+         control.setValue(this.engine[param.key]);
+         control.toolTip = param.toolTip;
+         control.onValueUpdated = function(value)
+         {
+            this.dialog.engine[this.parameterKey] = value;
+            this.dialog.schedulePreviewUpdate();
+         };
+         this.stretchParamControls[param.key] = control;
+      }
+   }
+
+   // Arcsinh controls, kept under their historical names
+   this.stretchControl = this.stretchParamControls["stretch"];
+   this.qControl = this.stretchParamControls["Q"];
+
+   this.intensityLabel = new Label(this);
+   this.intensityLabel.text = "Intensity:";
+   this.intensityLabel.textAlignment = TextAlign_Right | TextAlign_VertCenter;
+   this.intensityLabel.setFixedWidth(80);
+
+   this.intensityCombo = new ComboBox(this);
+   this.intensityCombo.addItem("Mean (R+G+B)/3");
+   this.intensityCombo.addItem("Luminance (Rec.709)");
+   this.intensityCombo.addItem("Max(R,G,B)");
+   this.intensityCombo.addItem("Custom coefficients");
+   this.intensityCombo.currentItem = this.engine.intensityMode;
+   this.intensityCombo.toolTip = "Definition of the intensity I that drives the stretch";
+   this.intensityCombo.onItemSelected = function(index)
+   {
+      this.dialog.engine.intensityMode = index;
+      this.dialog.updateIntensityControls();
+      this.dialog.schedulePreviewUpdate();
+   };
+
+   var intensitySizer = new HorizontalSizer;
+   intensitySizer.spacing = 4;
+   intensitySizer.add(this.intensityLabel);
+   intensitySizer.add(this.intensityCombo, 100);
+
+   this.intensityRControl = new NumericControl(this);
+   this.intensityRControl.label.text = "Coef (R):";
+   this.intensityRControl.label.setFixedWidth(80);
+   this.intensityRControl.setRange(0, 1);
+   this.intensityRControl.slider.setRange(0, 1000);
+   this.intensityRControl.slider.minWidth = 150;
+   this.intensityRControl.setPrecision(3);
+   this.intensityRControl.setValue(this.engine.intensityR);
+   this.intensityRControl.toolTip = "Red intensity coefficient (coefficients are normalized to sum to 1)";
+   this.intensityRControl.onValueUpdated = function(value)
+   {
+      this.dialog.engine.intensityR = value;
+      this.dialog.schedulePreviewUpdate();
+   };
+
+   this.intensityGControl = new NumericControl(this);
+   this.intensityGControl.label.text = "Coef (G):";
+   this.intensityGControl.label.setFixedWidth(80);
+   this.intensityGControl.setRange(0, 1);
+   this.intensityGControl.slider.setRange(0, 1000);
+   this.intensityGControl.slider.minWidth = 150;
+   this.intensityGControl.setPrecision(3);
+   this.intensityGControl.setValue(this.engine.intensityG);
+   this.intensityGControl.toolTip = "Green intensity coefficient (coefficients are normalized to sum to 1)";
+   this.intensityGControl.onValueUpdated = function(value)
+   {
+      this.dialog.engine.intensityG = value;
+      this.dialog.schedulePreviewUpdate();
+   };
+
+   this.intensityBControl = new NumericControl(this);
+   this.intensityBControl.label.text = "Coef (B):";
+   this.intensityBControl.label.setFixedWidth(80);
+   this.intensityBControl.setRange(0, 1);
+   this.intensityBControl.slider.setRange(0, 1000);
+   this.intensityBControl.slider.minWidth = 150;
+   this.intensityBControl.setPrecision(3);
+   this.intensityBControl.setValue(this.engine.intensityB);
+   this.intensityBControl.toolTip = "Blue intensity coefficient (coefficients are normalized to sum to 1)";
+   this.intensityBControl.onValueUpdated = function(value)
+   {
+      this.dialog.engine.intensityB = value;
+      this.dialog.schedulePreviewUpdate();
+   };
+
+   this.stretchHelpLabel = new Label(this);
+   this.stretchHelpLabel.textAlignment = TextAlign_Left;
+
+   this.astropyCheckbox = new CheckBox(this);
+   this.astropyCheckbox.text = "Astropy make_lupton_rgb compatible";
+   this.astropyCheckbox.checked = this.engine.astropyCompatible;
+   this.astropyCheckbox.toolTip = "<p>Reproduce astropy.visualization.make_lupton_rgb exactly: " +
+      "black points act as astropy's per-band minimum, stretch and Q take astropy's " +
+      "definitions (asinh(I\u00B7Q/stretch)) and the output is quantized to 8 bits.</p>" +
+      "<p>Band weights, intensity mode, stretch function, LRGB, saturation and " +
+      "clipping mode are ignored in this mode.</p>";
+   this.astropyCheckbox.onCheck = function(checked)
+   {
+      this.dialog.engine.astropyCompatible = checked;
+      if (checked)
+      {
+         var check = this.dialog.engine.reportAstropyCompatibility();
+         this.dialog.statusLabel.text = format("Astropy mode: %d/%d reference vectors match",
+                                               check.passed, AstropyTestVectors.length);
+      }
+      this.dialog.updateStretchControls();
+      this.dialog.schedulePreviewUpdate();
+   };
+
+   // Physical parameters, kept in sync with alpha and Q
+   this.physicalCheckbox = new CheckBox(this);
+   this.physicalCheckbox.text = "Physical parameters";
+   this.physicalCheckbox.checked = this.engine.physicalParameters;
+   this.physicalCheckbox.toolTip = "<p>Set the stretch by the width of the linear regime in units of the " +
+      "background noise and the output level of a reference flux. \u03B1 and Q follow, and are derived " +
+      "again from the measured noise of every image the script is executed on.</p>";
+   this.physicalCheckbox.onCheck = function(checked)
+   {
+      this.dialog.engine.physicalParameters = checked;
+      this.dialog.updateStretchControls();
+      this.dialog.updatePhysicalFromStretch();
+   };
+
+   this.softeningWidthControl = new NumericControl(this);
+   this.softeningWidthControl.label.text = "Softening (\u03C3):";
+   this.softeningWidthControl.label.setFixedWidth(80);
+   this.softeningWidthControl.setRange(0.1, 1000);
+   this.softeningWidthControl.slider.setRange(0, 9999);
+   this.softeningWidthControl.slider.minWidth = 150;
+   this.softeningWidthControl.setPrecision(2);
+   this.softeningWidthControl.setValue(this.engine.softeningWidth);
+   this.softeningWidthControl.toolTip = "<p>Width of the linear regime of the arcsinh, in multiples of the " +
+      "background noise \u03C3. Signal below it is stretched linearly, brighter signal logarithmically.</p>";
+   this.softeningWidthControl.onValueUpdated = function(value)
+   {
+      this.dialog.engine.softeningWidth = value;
+      this.dialog.updateStretchFromPhysical();
       this.dialog.schedulePreviewUpdate();
    };
 
-   this.qControl = new NumericControl(this);
-   this.qControl.label.text = "Q (softening):";
-   this.qControl.label.setFixedWidth(80);
-   this.qControl.setRange(-10.0, 30.0);
-   this.qControl.slider.setRange(0, 4000);
-   this.qControl.slider.minWidth = 150;
-   this.qControl.setPrecision(2);
-   this.qControl.setValue(this.engine.Q);
-   this.qControl.toolTip = "Controls linear-to-logarithmic transition. Lower Q = earlier log behavior";
-   this.qControl.onValueUpdated = function(value)
+   this.referenceFluxControl = new NumericControl(this);
+   this.referenceFluxControl.label.text = "Ref. flux:";
+   this.referenceFluxControl.label.setFixedWidth(80);
+   this.referenceFluxControl.setRange(0.001, 1);
+   this.referenceFluxControl.slider.setRange(0, 999);
+   this.referenceFluxControl.slider.minWidth = 150;
+   this.referenceFluxControl.setPrecision(4);
+   this.referenceFluxControl.setValue(this.engine.referenceFlux);
+   this.referenceFluxControl.toolTip = "<p>Reference input level (above the black point, after band " +
+      "weights) whose output level is set by Ref. output.</p>";
+   this.referenceFluxControl.onValueUpdated = function(value)
+   {
+      // Picks another reference point on the current stretch
+      this.dialog.engine.referenceFlux = value;
+      this.dialog.updatePhysicalFromStretch();
+   };
+
+   this.referenceBrightnessControl = new NumericControl(this);
+   this.referenceBrightnessControl.label.text = "Ref. output:";
+   this.referenceBrightnessControl.label.setFixedWidth(80);
+   this.referenceBrightnessControl.setRange(0.01, 2);
+   this.referenceBrightnessControl.slider.setRange(0, 199);
+   this.referenceBrightnessControl.slider.minWidth = 150;
+   this.referenceBrightnessControl.setPrecision(3);
+   this.referenceBrightnessControl.setValue(this.engine.referenceBrightness);
+   this.referenceBrightnessControl.toolTip = "<p>Output level of the reference flux before clipping.</p>";
+   this.referenceBrightnessControl.onValueUpdated = function(value)
    {
-      this.dialog.engine.Q = value;
+      this.dialog.engine.referenceBrightness = value;
+      this.dialog.updateStretchFromPhysical();
       this.dialog.schedulePreviewUpdate();
    };
 
-   this.qHelpLabel = new Label(this);
-   this.qHelpLabel.text = "Lower Q = earlier log transition";
-   this.qHelpLabel.textAlignment = TextAlign_Left;
+   this.noiseLabel = new Label(this);
+   this.noiseLabel.textAlignment = TextAlign_Left | TextAlign_VertCenter;
+
+   var noiseSizer = new HorizontalSizer;
+   noiseSizer.addSpacing(85);
+   noiseSizer.add(this.noiseLabel, 100);
+
+   this.autoStretchBackgroundControl = new NumericControl(this);
+   this.autoStretchBackgroundControl.label.text = "Sky target:";
+   this.autoStretchBackgroundControl.label.setFixedWidth(80);
+   this.autoStretchBackgroundControl.setRange(0.01, 0.5);
+   this.autoStretchBackgroundControl.slider.setRange(0, 490);
+   this.autoStretchBackgroundControl.slider.minWidth = 150;
+   this.autoStretchBackgroundControl.setPrecision(3);
+   this.autoStretchBackgroundControl.setValue(this.engine.autoStretchBackground);
+   this.autoStretchBackgroundControl.toolTip = "<p>Auto Stretch: output level of the sky background, " +
+      "typically 0.10 - 0.15.</p>";
+   this.autoStretchBackgroundControl.onValueUpdated = function(value)
+   {
+      this.dialog.engine.autoStretchBackground = value;
+   };
+
+   // Clipping allowance scale: percent displayed, actual = displayed / 100
+   this.autoStretchClippingControl = new NumericControl(this);
+   this.autoStretchClippingControl.label.text = "Clipped %:";
+   this.autoStretchClippingControl.label.setFixedWidth(80);
+   this.autoStretchClippingControl.setRange(0, 2);
+   this.autoStretchClippingControl.slider.setRange(0, 2000);
+   this.autoStretchClippingControl.slider.minWidth = 150;
+   this.autoStretchClippingControl.setPrecision(3);
+   this.autoStretchClippingControl.setValue(this.engine.autoStretchClipping * 100);
+   this.autoStretchClippingControl.toolTip = "<p>Auto Stretch: percentage of pixels allowed to reach " +
+      "Preserve Color clipping (star cores). Q is the smallest value that keeps within it.</p>";
+   this.autoStretchClippingControl.onValueUpdated = function(value)
+   {
+      this.dialog.engine.autoStretchClipping = value / 100;
+   };
+
+   this.autoStretchButton = new PushButton(this);
+   this.autoStretchButton.text = "Auto Stretch";
+   this.autoStretchButton.toolTip = "<p>Solve \u03B1 for the sky target and Q for the clipped percentage " +
+      "from the statistics of the image, after the black points and band weights.</p>";
+   this.autoStretchButton.onClick = function()
+   {
+      this.dialog.calculateAutoStretch();
+   };
+
+   this.autoStretchCheckbox = new CheckBox(this);
+   this.autoStretchCheckbox.text = "Solve on execute";
+   this.autoStretchCheckbox.checked = this.engine.autoStretch;
+   this.autoStretchCheckbox.toolTip = "<p>Solve \u03B1 and Q again from each image the script is " +
+      "executed on, including process icons applied without the dialog.</p>";
+   this.autoStretchCheckbox.onCheck = function(checked)
+   {
+      this.dialog.engine.autoStretch = checked;
+   };
+
+   var autoStretchSizer = new HorizontalSizer;
+   autoStretchSizer.spacing = 4;
+   autoStretchSizer.addSpacing(85);
+   autoStretchSizer.add(this.autoStretchButton);
+   autoStretchSizer.addSpacing(8);
+   autoStretchSizer.add(this.autoStretchCheckbox);
+   autoStretchSizer.addStretch();
 
    this.stretchGroup = new GroupBox(this);
    this.stretchGroup.title = "Stretch Parameters";
    this.stretchGroup.sizer = new VerticalSizer;
    this.stretchGroup.sizer.margin = 6;
    this.stretchGroup.sizer.spacing = 4;
-   this.stretchGroup.sizer.add(this.stretchControl);
-   this.stretchGroup.sizer.add(this.qControl);
-   this.stretchGroup.sizer.add(this.qHelpLabel);
+   this.stretchGroup.sizer.add(this.astropyCheckbox);
+   this.stretchGroup.sizer.add(stretchFunctionSizer);
+   for (var key in this.stretchParamControls)
+      this.stretchGroup.sizer.add(this.stretchParamControls[key]);
+   this.stretchGroup.sizer.add(this.stretchHelpLabel);
+   this.stretchGroup.sizer.add(this.physicalCheckbox);
+   this.stretchGroup.sizer.add(this.softeningWidthControl);
+   this.stretchGroup.sizer.add(this.referenceFluxControl);
+   this.stretchGroup.sizer.add(this.referenceBrightnessControl);
+   this.stretchGroup.sizer.add(noiseSizer);
+   this.stretchGroup.sizer.add(this.autoStretchBackgroundControl);
+   this.stretchGroup.sizer.add(this.autoStretchClippingControl);
+   this.stretchGroup.sizer.add(autoStretchSizer);
+   this.stretchGroup.sizer.add(intensitySizer);
+   this.stretchGroup.sizer.add(this.intensityRControl);
+   this.stretchGroup.sizer.add(this.intensityGControl);
+   this.stretchGroup.sizer.add(this.intensityBControl);
 
    // --- Black Point Group ---
    this.linkedCheckbox = new CheckBox(this);
@@ -1220,10 +5949,25 @@ function LuptonDialog(engine)
       this.dialog.schedulePreviewUpdate();
    };
 
+   this.blackLControl = new NumericControl(this);
+   this.blackLControl.label.text = "Black (L):";
+   this.blackLControl.label.setFixedWidth(80);
+   this.blackLControl.setRange(0, 100);
+   this.blackLControl.slider.setRange(0, 1000);
+   this.blackLControl.slider.minWidth = 150;
+   this.blackLControl.setPrecision(0);
+   this.blackLControl.setValue(this.engine.blackL * 10000);
+   this.blackLControl.toolTip = "Black point of the luminance master (0-100 scale, actual = value/10000)";
+   this.blackLControl.onValueUpdated = function(value)
+   {
+      this.dialog.engine.blackL = value / 10000;
+      this.dialog.schedulePreviewUpdate();
+   };
+
    this.autoBlackButton = new PushButton(this);
    this.autoBlackButton.text = "Auto";
    this.autoBlackButton.setFixedWidth(50);
-   this.autoBlackButton.toolTip = "Calculate black point from image statistics";
+   this.autoBlackButton.toolTip = "Calculate the black point as median - k\u00B7\u03C3 of the background";
    this.autoBlackButton.onClick = function()
    {
       this.dialog.calculateAutoBlackPoint();
@@ -1235,17 +5979,53 @@ function LuptonDialog(engine)
    this.sampleBlackButton.toolTip = "Sample background from preview (click on dark area)";
    this.sampleBlackButton.onClick = function()
    {
+      if (this.dialog.previewControl.samplingContinuous)
+         this.dialog.stopBackgroundSampling();
       // Enable sampling mode on the preview
+      this.dialog.samplingPurpose = "blackPoint";
       this.dialog.previewControl.samplingMode = true;
       this.dialog.previewControl.cursor = new Cursor(StdCursor_Cross);
       this.dialog.statusLabel.text = "Click on a dark background area in the preview...";
    };
 
+   this.blackPointSigmaControl = new NumericControl(this);
+   this.blackPointSigmaControl.label.text = "Auto k (\u03C3):";
+   this.blackPointSigmaControl.label.setFixedWidth(80);
+   this.blackPointSigmaControl.setRange(0, 10);
+   this.blackPointSigmaControl.slider.setRange(0, 1000);
+   this.blackPointSigmaControl.slider.minWidth = 150;
+   this.blackPointSigmaControl.setPrecision(2);
+   this.blackPointSigmaControl.setValue(this.engine.blackPointSigma);
+   this.blackPointSigmaControl.toolTip = "<p>Auto black point = median - k\u00B7\u03C3 of the background, " +
+      "from sigma-clipped statistics that ignore zero-valued borders (\u03C3 = 1.4826\u00B7MAD).</p>";
+   this.blackPointSigmaControl.onValueUpdated = function(value)
+   {
+      this.dialog.engine.blackPointSigma = value;
+      // Also sets the pedestal left above the background model
+      if (this.dialog.engine.usesBackgroundModel())
+         this.dialog.schedulePreviewUpdate();
+   };
+
+   this.neutralizeBackgroundCheckbox = new CheckBox(this);
+   this.neutralizeBackgroundCheckbox.text = "Neutralize background";
+   this.neutralizeBackgroundCheckbox.checked = this.engine.neutralizeBackground;
+   this.neutralizeBackgroundCheckbox.toolTip = "<p>Auto computes per-channel black points that make " +
+      "the background neutral gray after the stretch (band weights included). With the background model, " +
+      "the pedestals above the surface are equalized instead.</p>";
+   this.neutralizeBackgroundCheckbox.onCheck = function(checked)
+   {
+      this.dialog.engine.neutralizeBackground = checked;
+      if (this.dialog.engine.usesBackgroundModel())
+         this.dialog.schedulePreviewUpdate();
+   };
+
    var blackButtonsSizer = new HorizontalSizer;
    blackButtonsSizer.spacing = 4;
    blackButtonsSizer.addSpacing(85);
    blackButtonsSizer.add(this.autoBlackButton);
    blackButtonsSizer.add(this.sampleBlackButton);
+   blackButtonsSizer.addSpacing(8);
+   blackButtonsSizer.add(this.neutralizeBackgroundCheckbox);
    blackButtonsSizer.addStretch();
 
    this.blackPointGroup = new GroupBox(this);
@@ -1258,9 +6038,348 @@ function LuptonDialog(engine)
    this.blackPointGroup.sizer.add(this.blackRControl);
    this.blackPointGroup.sizer.add(this.blackGControl);
    this.blackPointGroup.sizer.add(this.blackBControl);
+   this.blackPointGroup.sizer.add(this.blackLControl);
+   this.blackPointGroup.sizer.add(this.blackPointSigmaControl);
    this.blackPointGroup.sizer.add(blackButtonsSizer);
 
+   // --- Background Model Group ---
+   this.backgroundModelCheckbox = new CheckBox(this);
+   this.backgroundModelCheckbox.text = "Subtract background model";
+   this.backgroundModelCheckbox.checked = this.engine.backgroundModel;
+   this.backgroundModelCheckbox.toolTip = "<p>Fit a smooth polynomial surface to the background of each channel " +
+      "and subtract it instead of the black points, removing light-pollution gradients before the stretch. " +
+      "The background is left at Auto k (\u03C3) times its noise above the surface.</p>";
+   this.backgroundModelCheckbox.onCheck = function(checked)
+   {
+      this.dialog.engine.backgroundModel = checked;
+      this.dialog.updateBackgroundModelControls();
+      this.dialog.schedulePreviewUpdate();
+   };
+
+   this.backgroundDegreeLabel = new Label(this);
+   this.backgroundDegreeLabel.text = "Degree:";
+   this.backgroundDegreeLabel.textAlignment = TextAlign_Right | TextAlign_VertCenter;
+   this.backgroundDegreeLabel.setFixedWidth(80);
+
+   this.backgroundDegreeCombo = new ComboBox(this);
+   this.backgroundDegreeCombo.addItem("1 (plane)");
+   this.backgroundDegreeCombo.addItem("2");
+   this.backgroundDegreeCombo.addItem("3");
+   this.backgroundDegreeCombo.addItem("4");
+   this.backgroundDegreeCombo.currentItem = this.engine.backgroundDegree - 1;
+   this.backgroundDegreeCombo.toolTip = "<p>Polynomial degree of the background surface. Use 1 or 2 for " +
+      "simple gradients; higher degrees follow more complex ones but need more samples.</p>";
+   this.backgroundDegreeCombo.onItemSelected = function(index)
+   {
+      this.dialog.engine.backgroundDegree = index + 1;
+      this.dialog.engine.backgroundSurface = null;
+      this.dialog.schedulePreviewUpdate();
+   };
+
+   var backgroundDegreeSizer = new HorizontalSizer;
+   backgroundDegreeSizer.spacing = 4;
+   backgroundDegreeSizer.add(this.backgroundDegreeLabel);
+   backgroundDegreeSizer.add(this.backgroundDegreeCombo, 100);
+
+   this.backgroundSamplesLabel = new Label(this);
+   this.backgroundSamplesLabel.textAlignment = TextAlign_Left | TextAlign_VertCenter;
+
+   this.addBackgroundSamplesButton = new PushButton(this);
+   this.addBackgroundSamplesButton.text = "Add";
+   this.addBackgroundSamplesButton.setFixedWidth(50);
+   this.addBackgroundSamplesButton.toolTip = "<p>Click background areas in the preview to place samples; " +
+      "click Done when finished. Without samples the background is sampled automatically on a grid, " +
+      "rejecting stars and nebulosity.</p>";
+   this.addBackgroundSamplesButton.onClick = function()
+   {
+      var dlg = this.dialog;
+      if (dlg.previewControl.samplingMode && dlg.samplingPurpose === "backgroundModel")
+      {
+         dlg.stopBackgroundSampling();
+         return;
+      }
+      dlg.samplingPurpose = "backgroundModel";
+      dlg.previewControl.samplingMode = true;
+      dlg.previewControl.samplingContinuous = true;
+      dlg.previewControl.cursor = new Cursor(StdCursor_Cross);
+      dlg.addBackgroundSamplesButton.text = "Done";
+      dlg.statusLabel.text = "Click background areas in the preview, then Done...";
+   };
+
+   this.clearBackgroundSamplesButton = new PushButton(this);
+   this.clearBackgroundSamplesButton.text = "Clear";
+   this.clearBackgroundSamplesButton.setFixedWidth(50);
+   this.clearBackgroundSamplesButton.toolTip = "Remove the clicked samples and sample the background automatically";
+   this.clearBackgroundSamplesButton.onClick = function()
+   {
+      this.dialog.engine.backgroundSamples = [];
+      this.dialog.engine.backgroundSurface = null;
+      this.dialog.updateBackgroundModelControls();
+      this.dialog.schedulePreviewUpdate();
+   };
+
+   var backgroundSamplesSizer = new HorizontalSizer;
+   backgroundSamplesSizer.spacing = 4;
+   backgroundSamplesSizer.addSpacing(85);
+   backgroundSamplesSizer.add(this.addBackgroundSamplesButton);
+   backgroundSamplesSizer.add(this.clearBackgroundSamplesButton);
+   backgroundSamplesSizer.addSpacing(8);
+   backgroundSamplesSizer.add(this.backgroundSamplesLabel, 100);
+
+   this.backgroundModelGroup = new GroupBox(this);
+   this.backgroundModelGroup.title = "Background Model";
+   this.backgroundModelGroup.sizer = new VerticalSizer;
+   this.backgroundModelGroup.sizer.margin = 6;
+   this.backgroundModelGroup.sizer.spacing = 4;
+   this.backgroundModelGroup.sizer.add(this.backgroundModelCheckbox);
+   this.backgroundModelGroup.sizer.add(backgroundDegreeSizer);
+   this.backgroundModelGroup.sizer.add(backgroundSamplesSizer);
+
+   // --- Band Weights Group ---
+   this.weightRControl = new NumericControl(this);
+   this.weightRControl.label.text = "Weight (R):";
+   this.weightRControl.label.setFixedWidth(80);
+   this.weightRControl.setRange(0.1, 5.0);
+   this.weightRControl.slider.setRange(0, 490);
+   this.weightRControl.slider.minWidth = 150;
+   this.weightRControl.setPrecision(3);
+   this.weightRControl.setValue(this.engine.weightR);
+   this.weightRControl.toolTip = "Flux scaling applied to the red band before the intensity is computed";
+   this.weightRControl.onValueUpdated = function(value)
+   {
+      this.dialog.engine.weightR = value;
+      this.dialog.schedulePreviewUpdate();
+   };
+
+   this.weightGControl = new NumericControl(this);
+   this.weightGControl.label.text = "Weight (G):";
+   this.weightGControl.label.setFixedWidth(80);
+   this.weightGControl.setRange(0.1, 5.0);
+   this.weightGControl.slider.setRange(0, 490);
+   this.weightGControl.slider.minWidth = 150;
+   this.weightGControl.setPrecision(3);
+   this.weightGControl.setValue(this.engine.weightG);
+   this.weightGControl.toolTip = "Flux scaling applied to the green band before the intensity is computed";
+   this.weightGControl.onValueUpdated = function(value)
+   {
+      this.dialog.engine.weightG = value;
+      this.dialog.schedulePreviewUpdate();
+   };
+
+   this.weightBControl = new NumericControl(this);
+   this.weightBControl.label.text = "Weight (B):";
+   this.weightBControl.label.setFixedWidth(80);
+   this.weightBControl.setRange(0.1, 5.0);
+   this.weightBControl.slider.setRange(0, 490);
+   this.weightBControl.slider.minWidth = 150;
+   this.weightBControl.setPrecision(3);
+   this.weightBControl.setValue(this.engine.weightB);
+   this.weightBControl.toolTip = "Flux scaling applied to the blue band before the intensity is computed";
+   this.weightBControl.onValueUpdated = function(value)
+   {
+      this.dialog.engine.weightB = value;
+      this.dialog.schedulePreviewUpdate();
+   };
+
+   this.sampleStarButton = new PushButton(this);
+   this.sampleStarButton.text = "Star";
+   this.sampleStarButton.setFixedWidth(50);
+   this.sampleStarButton.toolTip = "Sample a white reference star from the preview (click near the star)";
+   this.sampleStarButton.onClick = function()
+   {
+      if (this.dialog.previewControl.samplingContinuous)
+         this.dialog.stopBackgroundSampling();
+      this.dialog.samplingPurpose = "whiteStar";
+      this.dialog.previewControl.samplingMode = true;
+      this.dialog.previewControl.cursor = new Cursor(StdCursor_Cross);
+      this.dialog.statusLabel.text = "Click on an unsaturated white reference star in the preview...";
+   };
+
+   this.allStarsButton = new PushButton(this);
+   this.allStarsButton.text = "All Stars";
+   this.allStarsButton.setFixedWidth(60);
+   this.allStarsButton.toolTip = "Average the color of all unsaturated stars in the image";
+   this.allStarsButton.onClick = function()
+   {
+      this.dialog.calculateStarWeights();
+   };
+
+   this.resetWeightsButton = new PushButton(this);
+   this.resetWeightsButton.text = "Neutral";
+   this.resetWeightsButton.setFixedWidth(55);
+   this.resetWeightsButton.toolTip = "Reset all band weights to 1.0";
+   this.resetWeightsButton.onClick = function()
+   {
+      this.dialog.setBandWeights([1.0, 1.0, 1.0]);
+   };
+
+   var weightButtonsSizer = new HorizontalSizer;
+   weightButtonsSizer.spacing = 4;
+   weightButtonsSizer.addSpacing(85);
+   weightButtonsSizer.add(this.sampleStarButton);
+   weightButtonsSizer.add(this.allStarsButton);
+   weightButtonsSizer.add(this.resetWeightsButton);
+   weightButtonsSizer.addStretch();
+
+   this.weightsGroup = new GroupBox(this);
+   this.weightsGroup.title = "Band Weights";
+   this.weightsGroup.sizer = new VerticalSizer;
+   this.weightsGroup.sizer.margin = 6;
+   this.weightsGroup.sizer.spacing = 4;
+   this.weightsGroup.sizer.add(this.weightRControl);
+   this.weightsGroup.sizer.add(this.weightGControl);
+   this.weightsGroup.sizer.add(this.weightBControl);
+   this.weightsGroup.sizer.add(weightButtonsSizer);
+
+   // --- Color Calibration Group ---
+   this.colorCalibrationCheckbox = new CheckBox(this);
+   this.colorCalibrationCheckbox.text = "Apply color matrix";
+   this.colorCalibrationCheckbox.checked = this.engine.colorCalibration;
+   this.colorCalibrationCheckbox.toolTip = "<p>Correct the linear colors with a 3\u00D73 matrix after the black points " +
+      "and band weights, before the intensity is computed.</p>";
+   this.colorCalibrationCheckbox.onCheck = function(checked)
+   {
+      this.dialog.engine.colorCalibration = checked;
+      this.dialog.updateColorMatrixControls();
+      this.dialog.schedulePreviewUpdate();
+   };
+
+   // One row of edits per output channel, one column per weighted input
+   this.colorMatrixEdits = [];
+   var colorMatrixSizers = [];
+   for (var i = 0; i < 3; i++)
+   {
+      var rowLabel = new Label(this);
+      rowLabel.text = ["R", "G", "B"][i] + "' =";
+      rowLabel.textAlignment = TextAlign_Right | TextAlign_VertCenter;
+      rowLabel.setFixedWidth(80);
+
+      var rowSizer = new HorizontalSizer;
+      rowSizer.spacing = 4;
+      rowSizer.add(rowLabel);
+
+      var edits = [];
+      for (var j = 0; j < 3; j++)
+      {
+         var edit = new NumericEdit(this);
+         edit.label.text = ["R", "G", "B"][j];
+         edit.setReal(true);
+         edit.setRange(-ColorMatrixLimit, ColorMatrixLimit);
+         edit.setPrecision(4);
+         edit.edit.setFixedWidth(60);
+         edit.toolTip = format("Contribution of the weighted %s channel to the calibrated %s channel",
+                               ["red", "green", "blue"][j], ["red", "green", "blue"][i]);
+         edit.onValueUpdated = (function(row, column)
+         {
+            return function(value)
+            {
+               this.dialog.engine.colorMatrix[row][column] = value;
+               this.dialog.schedulePreviewUpdate();
+            };
+         })(i, j);
+         edits.push(edit);
+         rowSizer.add(edit);
+      }
+      rowSizer.addStretch();
+      this.colorMatrixEdits.push(edits);
+      colorMatrixSizers.push(rowSizer);
+   }
+
+   // References sampled for colorMatrixFromReferences(), band-weighted
+   this.colorReferenceStar = null;
+   this.colorReferenceBackground = null;
+
+   this.colorStarButton = new PushButton(this);
+   this.colorStarButton.text = "Star";
+   this.colorStarButton.setFixedWidth(50);
+   this.colorStarButton.toolTip = "Sample a white reference star from the preview (click near the star)";
+   this.colorStarButton.onClick = function()
+   {
+      if (this.dialog.previewControl.samplingContinuous)
+         this.dialog.stopBackgroundSampling();
+      this.dialog.samplingPurpose = "colorStar";
+      this.dialog.previewControl.samplingMode = true;
+      this.dialog.previewControl.cursor = new Cursor(StdCursor_Cross);
+      this.dialog.statusLabel.text = "Click on an unsaturated white reference star in the preview...";
+   };
+
+   this.colorBackgroundButton = new PushButton(this);
+   this.colorBackgroundButton.text = "Background";
+   this.colorBackgroundButton.setFixedWidth(75);
+   this.colorBackgroundButton.toolTip = "Sample a neutral background area from the preview";
+   this.colorBackgroundButton.onClick = function()
+   {
+      if (this.dialog.previewControl.samplingContinuous)
+         this.dialog.stopBackgroundSampling();
+      this.dialog.samplingPurpose = "colorBackground";
+      this.dialog.previewControl.samplingMode = true;
+      this.dialog.previewControl.cursor = new Cursor(StdCursor_Cross);
+      this.dialog.statusLabel.text = "Click on a neutral background area in the preview...";
+   };
+
+   this.loadColorMatrixButton = new PushButton(this);
+   this.loadColorMatrixButton.text = "Load...";
+   this.loadColorMatrixButton.setFixedWidth(55);
+   this.loadColorMatrixButton.toolTip = "<p>Load a matrix from a text file with nine numbers in row order, " +
+      "or a JSON file holding [[r, g, b], [r, g, b], [r, g, b]] or {\"matrix\": ...}.</p>";
+   this.loadColorMatrixButton.onClick = function()
+   {
+      this.dialog.loadColorMatrix();
+   };
+
+   this.identityColorMatrixButton = new PushButton(this);
+   this.identityColorMatrixButton.text = "Identity";
+   this.identityColorMatrixButton.setFixedWidth(55);
+   this.identityColorMatrixButton.toolTip = "Reset the matrix to the identity and forget the sampled references";
+   this.identityColorMatrixButton.onClick = function()
+   {
+      this.dialog.colorReferenceStar = null;
+      this.dialog.colorReferenceBackground = null;
+      this.dialog.setColorMatrix(identityColorMatrix());
+   };
+
+   var colorMatrixButtonsSizer = new HorizontalSizer;
+   colorMatrixButtonsSizer.spacing = 4;
+   colorMatrixButtonsSizer.addSpacing(85);
+   colorMatrixButtonsSizer.add(this.colorStarButton);
+   colorMatrixButtonsSizer.add(this.colorBackgroundButton);
+   colorMatrixButtonsSizer.add(this.loadColorMatrixButton);
+   colorMatrixButtonsSizer.add(this.identityColorMatrixButton);
+   colorMatrixButtonsSizer.addStretch();
+
+   this.colorCalibrationGroup = new GroupBox(this);
+   this.colorCalibrationGroup.title = "Color Calibration";
+   this.colorCalibrationGroup.sizer = new VerticalSizer;
+   this.colorCalibrationGroup.sizer.margin = 6;
+   this.colorCalibrationGroup.sizer.spacing = 4;
+   this.colorCalibrationGroup.sizer.add(this.colorCalibrationCheckbox);
+   for (var i = 0; i < 3; i++)
+      this.colorCalibrationGroup.sizer.add(colorMatrixSizers[i]);
+   this.colorCalibrationGroup.sizer.add(colorMatrixButtonsSizer);
+
    // --- Color Options Group ---
+   this.saturationModelLabel = new Label(this);
+   this.saturationModelLabel.text = "Sat. model:";
+   this.saturationModelLabel.textAlignment = TextAlign_Right | TextAlign_VertCenter;
+   this.saturationModelLabel.setFixedWidth(80);
+
+   this.saturationModelCombo = new ComboBox(this);
+   for (var i = 0; i < SaturationModels.length; i++)
+      this.saturationModelCombo.addItem(SaturationModels[i].name);
+   this.saturationModelCombo.currentItem = SaturationModels.indexOf(findSaturationModel(this.engine.saturationModel));
+   this.saturationModelCombo.onItemSelected = function(index)
+   {
+      this.dialog.engine.saturationModel = SaturationModels[index].id;
+      this.dialog.saturationModelCombo.toolTip = SaturationModels[index].toolTip;
+      this.dialog.schedulePreviewUpdate();
+   };
+   this.saturationModelCombo.toolTip = findSaturationModel(this.engine.saturationModel).toolTip;
+
+   var saturationModelSizer = new HorizontalSizer;
+   saturationModelSizer.spacing = 4;
+   saturationModelSizer.add(this.saturationModelLabel);
+   saturationModelSizer.add(this.saturationModelCombo, 100);
+
    this.saturationControl = new NumericControl(this);
    this.saturationControl.label.text = "Saturation:";
    this.saturationControl.label.setFixedWidth(80);
@@ -1276,20 +6395,74 @@ function LuptonDialog(engine)
       this.dialog.schedulePreviewUpdate();
    };
 
+   this.saturationRampCheckbox = new CheckBox(this);
+   this.saturationRampCheckbox.text = "Ramp saturation with intensity";
+   this.saturationRampCheckbox.checked = this.engine.saturationRamp;
+   this.saturationRampCheckbox.toolTip = "<p>Apply the saturation boost only where the stretched " +
+      "intensity rises above a threshold, so faint background noise is not colorized.</p>";
+   this.saturationRampCheckbox.onCheck = function(checked)
+   {
+      this.dialog.engine.saturationRamp = checked;
+      this.dialog.updateSaturationControls();
+      this.dialog.schedulePreviewUpdate();
+   };
+
+   this.saturationThresholdControl = new NumericControl(this);
+   this.saturationThresholdControl.label.text = "Threshold:";
+   this.saturationThresholdControl.label.setFixedWidth(80);
+   this.saturationThresholdControl.setRange(0, 1);
+   this.saturationThresholdControl.slider.setRange(0, 1000);
+   this.saturationThresholdControl.slider.minWidth = 150;
+   this.saturationThresholdControl.setPrecision(3);
+   this.saturationThresholdControl.setValue(this.engine.saturationThreshold);
+   this.saturationThresholdControl.toolTip = "Stretched intensity below which no saturation boost is applied";
+   this.saturationThresholdControl.onValueUpdated = function(value)
+   {
+      this.dialog.engine.saturationThreshold = value;
+      this.dialog.schedulePreviewUpdate();
+   };
+
+   this.saturationSoftnessControl = new NumericControl(this);
+   this.saturationSoftnessControl.label.text = "Softness:";
+   this.saturationSoftnessControl.label.setFixedWidth(80);
+   this.saturationSoftnessControl.setRange(0.001, 1);
+   this.saturationSoftnessControl.slider.setRange(0, 1000);
+   this.saturationSoftnessControl.slider.minWidth = 150;
+   this.saturationSoftnessControl.setPrecision(3);
+   this.saturationSoftnessControl.setValue(this.engine.saturationSoftness);
+   this.saturationSoftnessControl.toolTip = "Intensity range above the threshold over which the boost fades in to full strength";
+   this.saturationSoftnessControl.onValueUpdated = function(value)
+   {
+      this.dialog.engine.saturationSoftness = value;
+      this.dialog.schedulePreviewUpdate();
+   };
+
+   this.protectBackgroundCheckbox = new CheckBox(this);
+   this.protectBackgroundCheckbox.text = "Protect background";
+   this.protectBackgroundCheckbox.checked = this.engine.protectBackground;
+   this.protectBackgroundCheckbox.toolTip = "<p>Start the ramp at the noise floor: the stretched " +
+      "level of the measured background (median + 3\u03C3 of each channel) replaces the threshold.</p>";
+   this.protectBackgroundCheckbox.onCheck = function(checked)
+   {
+      this.dialog.engine.protectBackground = checked;
+      this.dialog.updateSaturationControls();
+      this.dialog.schedulePreviewUpdate();
+   };
+
    this.clippingLabel = new Label(this);
    this.clippingLabel.text = "Clipping:";
    this.clippingLabel.textAlignment = TextAlign_Right | TextAlign_VertCenter;
    this.clippingLabel.setFixedWidth(80);
 
    this.clippingCombo = new ComboBox(this);
-   this.clippingCombo.addItem("Preserve Color (Lupton)");
-   this.clippingCombo.addItem("Hard Clip");
-   this.clippingCombo.addItem("Rescale to Max");
+   for (var i = 0; i < ClippingModeNames.length; i++)
+      this.clippingCombo.addItem(ClippingModeNames[i]);
    this.clippingCombo.currentItem = this.engine.clippingMode;
    this.clippingCombo.toolTip = "How to handle values exceeding 1.0";
    this.clippingCombo.onItemSelected = function(index)
    {
       this.dialog.engine.clippingMode = index;
+      this.dialog.updateClippingControls();
       this.dialog.schedulePreviewUpdate();
    };
 
@@ -1298,16 +6471,147 @@ function LuptonDialog(engine)
    clippingSizer.add(this.clippingLabel);
    clippingSizer.add(this.clippingCombo, 100);
 
+   this.clippingKneeControl = new NumericControl(this);
+   this.clippingKneeControl.label.text = "Knee:";
+   this.clippingKneeControl.label.setFixedWidth(80);
+   this.clippingKneeControl.setRange(0.5, 0.99);
+   this.clippingKneeControl.slider.setRange(0, 490);
+   this.clippingKneeControl.slider.minWidth = 150;
+   this.clippingKneeControl.setPrecision(3);
+   this.clippingKneeControl.setValue(this.engine.clippingKnee);
+   this.clippingKneeControl.toolTip = "<p>Level where the highlight treatment starts.</p>" +
+      "<p><b>Soft Knee</b> compresses max(R,G,B) above it smoothly toward 1.0, keeping color ratios. " +
+      "<b>Blend to White</b> desaturates pixels progressively from the knee up to clipping.</p>";
+   this.clippingKneeControl.onValueUpdated = function(value)
+   {
+      this.dialog.engine.clippingKnee = value;
+      this.dialog.schedulePreviewUpdate();
+   };
+
+   this.rescalePercentileControl = new NumericControl(this);
+   this.rescalePercentileControl.label.text = "Percentile:";
+   this.rescalePercentileControl.label.setFixedWidth(80);
+   this.rescalePercentileControl.setRange(90, 100);
+   this.rescalePercentileControl.slider.setRange(0, 1000);
+   this.rescalePercentileControl.slider.minWidth = 150;
+   this.rescalePercentileControl.setPrecision(2);
+   this.rescalePercentileControl.setValue(this.engine.rescalePercentile);
+   this.rescalePercentileControl.toolTip = "<p>Percentile of the stretched data that is mapped to 1.0. " +
+      "Values above it clip, so hot pixels and star cores do not darken the whole image.</p>" +
+      "<p>100 rescales to the true maximum.</p>";
+   this.rescalePercentileControl.onValueUpdated = function(value)
+   {
+      this.dialog.engine.rescalePercentile = value;
+      this.dialog.schedulePreviewUpdate();
+   };
+
+   this.rescaleLinkedCheckbox = new CheckBox(this);
+   this.rescaleLinkedCheckbox.text = "Linked rescale";
+   this.rescaleLinkedCheckbox.checked = this.engine.rescaleLinked;
+   this.rescaleLinkedCheckbox.toolTip = "<p>Checked: one level from max(R,G,B) scales all channels " +
+      "alike and keeps colors. Unchecked: each channel is rescaled by its own percentile level.</p>";
+   this.rescaleLinkedCheckbox.onCheck = function(checked)
+   {
+      this.dialog.engine.rescaleLinked = checked;
+      this.dialog.schedulePreviewUpdate();
+   };
+
    this.colorGroup = new GroupBox(this);
    this.colorGroup.title = "Color Options";
    this.colorGroup.sizer = new VerticalSizer;
    this.colorGroup.sizer.margin = 6;
    this.colorGroup.sizer.spacing = 4;
+   this.colorGroup.sizer.add(saturationModelSizer);
    this.colorGroup.sizer.add(this.saturationControl);
+   this.colorGroup.sizer.add(this.saturationRampCheckbox);
+   this.colorGroup.sizer.add(this.saturationThresholdControl);
+   this.colorGroup.sizer.add(this.saturationSoftnessControl);
+   this.colorGroup.sizer.add(this.protectBackgroundCheckbox);
    this.colorGroup.sizer.add(clippingSizer);
+   this.colorGroup.sizer.add(this.clippingKneeControl);
+   this.colorGroup.sizer.add(this.rescalePercentileControl);
+   this.colorGroup.sizer.add(this.rescaleLinkedCheckbox);
+
+   // --- Output Group ---
+   this.outputLabel = new Label(this);
+   this.outputLabel.text = "Output:";
+   this.outputLabel.textAlignment = TextAlign_Right | TextAlign_VertCenter;
+   this.outputLabel.setFixedWidth(80);
+
+   this.outputCombo = new ComboBox(this);
+   this.outputCombo.addItem("New window");
+   this.outputCombo.addItem("In place");
+   this.outputCombo.addItem("Replace previous output");
+   this.outputCombo.currentItem = this.engine.outputMode;
+   this.outputCombo.toolTip = "<p><b>New window</b>: write the result to a new &lt;id&gt;_lupton image.</p>" +
+      "<p><b>In place</b>: stretch the target image as one undoable step. If a preview is " +
+      "selected in the target window, only that preview is stretched.</p>" +
+      "<p><b>Replace previous output</b>: overwrite the &lt;id&gt;_lupton window left by an " +
+      "earlier run (undoable), or create it if it does not exist.</p>";
+   this.outputCombo.onItemSelected = function(index)
+   {
+      this.dialog.engine.outputMode = index;
+   };
+
+   var outputSizer = new HorizontalSizer;
+   outputSizer.spacing = 4;
+   outputSizer.add(this.outputLabel);
+   outputSizer.add(this.outputCombo, 100);
+
+   this.maskLabel = new Label(this);
+   this.maskLabel.text = "Mask:";
+   this.maskLabel.textAlignment = TextAlign_Right | TextAlign_VertCenter;
+   this.maskLabel.setFixedWidth(80);
+
+   this.maskCombo = new ComboBox(this);
+   this.maskCombo.toolTip = "<p>Mask limiting the stretch: white areas are stretched, black " +
+      "areas keep their linear values.</p>" +
+      "<p><b>&lt;target mask&gt;</b> uses the mask of the target window, if one is " +
+      "active, with its own inversion setting.</p>";
+   this.maskCombo.onItemSelected = function(index)
+   {
+      this.dialog.engine.maskView = this.dialog.viewForComboIndex(index);
+      this.dialog.updateTargetWindow();
+   };
+
+   this.maskInvertedCheckbox = new CheckBox(this);
+   this.maskInvertedCheckbox.text = "Invert";
+   this.maskInvertedCheckbox.checked = this.engine.maskInverted;
+   this.maskInvertedCheckbox.toolTip = "Invert the selected mask";
+   this.maskInvertedCheckbox.onCheck = function(checked)
+   {
+      this.dialog.engine.maskInverted = checked;
+      this.dialog.schedulePreviewUpdate();
+   };
+
+   var maskSizer = new HorizontalSizer;
+   maskSizer.spacing = 4;
+   maskSizer.add(this.maskLabel);
+   maskSizer.add(this.maskCombo, 100);
+   maskSizer.add(this.maskInvertedCheckbox);
+
+   this.outputGroup = new GroupBox(this);
+   this.outputGroup.title = "Output";
+   this.outputGroup.sizer = new VerticalSizer;
+   this.outputGroup.sizer.margin = 6;
+   this.outputGroup.sizer.spacing = 4;
+   this.outputGroup.sizer.add(outputSizer);
+   this.outputGroup.sizer.add(maskSizer);
 
    // --- Action Buttons ---
 
+   this.newInstanceButton = new ToolButton(this);
+   this.newInstanceButton.icon = this.scaledResource(":/process-interface/new-instance.png");
+   this.newInstanceButton.setScaledFixedSize(24, 24);
+   this.newInstanceButton.toolTip = "New Instance: drag to a view to apply, or to the workspace to create a process icon";
+   this.newInstanceButton.onMousePress = function()
+   {
+      this.hasFocus = true;
+      this.dialog.exportParameters();
+      this.pushed = false;
+      this.dialog.newInstance();
+   };
+
    this.resetButton = new PushButton(this);
    this.resetButton.text = "Reset";
    this.resetButton.toolTip = "Reset all parameters to default values";
@@ -1320,7 +6624,7 @@ function LuptonDialog(engine)
 
    this.applyButton = new PushButton(this);
    this.applyButton.text = "Execute";
-   this.applyButton.toolTip = "Execute Lupton RGB stretch to create new image";
+   this.applyButton.toolTip = "Execute the Lupton RGB stretch on the full image";
    this.applyButton.onClick = function()
    {
       this.dialog.apply();
@@ -1336,6 +6640,7 @@ function LuptonDialog(engine)
 
    var actionSizer = new HorizontalSizer;
    actionSizer.spacing = 6;
+   actionSizer.add(this.newInstanceButton);
    actionSizer.addStretch();
    actionSizer.add(this.resetButton);
    actionSizer.add(this.applyButton);
@@ -1355,6 +6660,161 @@ function LuptonDialog(engine)
    this.previewOptionsGroup.sizer.spacing = 4;
    this.previewOptionsGroup.sizer.add(this.showPreviewCheckbox);
 
+   this.showSaturationWeightCheckbox = new CheckBox(this);
+   this.showSaturationWeightCheckbox.text = "Show saturation weight";
+   this.showSaturationWeightCheckbox.checked = (this.engine.previewOverlay === 1);
+   this.showSaturationWeightCheckbox.toolTip = "Show how much of the saturation boost each pixel " +
+      "receives (black = none, white = full) instead of the result";
+   this.showSaturationWeightCheckbox.onCheck = function(checked)
+   {
+      this.dialog.engine.previewOverlay = checked ? 1 : 0;
+      this.dialog.showBackgroundModelCheckbox.checked = false;
+      this.dialog.schedulePreviewUpdate();
+   };
+   this.previewOptionsGroup.sizer.add(this.showSaturationWeightCheckbox);
+
+   this.showBackgroundModelCheckbox = new CheckBox(this);
+   this.showBackgroundModelCheckbox.text = "Show background model";
+   this.showBackgroundModelCheckbox.checked = (this.engine.previewOverlay === 2);
+   this.showBackgroundModelCheckbox.toolTip = "Show the fitted background surface, stretched from its " +
+      "lowest to its highest value, instead of the result";
+   this.showBackgroundModelCheckbox.onCheck = function(checked)
+   {
+      this.dialog.engine.previewOverlay = checked ? 2 : 0;
+      this.dialog.showSaturationWeightCheckbox.checked = false;
+      this.dialog.schedulePreviewUpdate();
+   };
+   this.previewOptionsGroup.sizer.add(this.showBackgroundModelCheckbox);
+
+   // One checkbox per ClippingIndicators entry, toggling its marker
+   this.indicatorCheckboxes = [];
+   var indicatorSizer = new HorizontalSizer;
+   indicatorSizer.spacing = 8;
+   for (var i = 0; i < ClippingIndicators.length; i++)
+   {
+      var indicatorCheckbox = new CheckBox(this);
+      indicatorCheckbox.text = ClippingIndicators[i].name;
+      indicatorCheckbox.toolTip = "<p>Mark in the After view: " + ClippingIndicators[i].toolTip + ".</p>";
+      indicatorCheckbox.onCheck = (function(flag)
+      {
+         return function(checked)
+         {
+            var previewControl = this.dialog.previewControl;
+            if (checked)
+               previewControl.clippingIndicators |= flag;
+            else
+               previewControl.clippingIndicators &= ~flag;
+            this.dialog.schedulePreviewUpdate();
+         };
+      })(ClippingIndicators[i].flag);
+      this.indicatorCheckboxes.push(indicatorCheckbox);
+      indicatorSizer.add(indicatorCheckbox);
+   }
+   indicatorSizer.addStretch();
+   this.previewOptionsGroup.sizer.add(indicatorSizer);
+
+   this.beforeViewLabel = new Label(this);
+   this.beforeViewLabel.text = "Before view:";
+   this.beforeViewLabel.textAlignment = TextAlign_Right | TextAlign_VertCenter;
+   this.beforeViewLabel.setFixedWidth(80);
+
+   this.beforeViewCombo = new ComboBox(this);
+   for (var i = 0; i < BeforeViewNames.length; i++)
+      this.beforeViewCombo.addItem(BeforeViewNames[i]);
+   this.beforeViewCombo.currentItem = this.engine.beforeView;
+   this.beforeViewCombo.toolTip = "<p>Display of the unprocessed image in the Before and Split views.</p>" +
+      "<p><b>AutoSTF</b> applies a screen transfer function from the median and MAD of the image, " +
+      "like the standard AutoSTF. <b>Linked</b> uses one function for all channels and keeps the color " +
+      "balance of the data; <b>unlinked</b> fits each channel and neutralizes the background.</p>" +
+      "<p><b>Histogram Transformation</b> applies the shadows, midtones and highlights below to every " +
+      "channel, as a reference stretch to compare against.</p>";
+   this.beforeViewCombo.onItemSelected = function(index)
+   {
+      this.dialog.engine.beforeView = index;
+      this.dialog.updateBeforeViewControls();
+      this.dialog.schedulePreviewUpdate();
+   };
+
+   var beforeViewSizer = new HorizontalSizer;
+   beforeViewSizer.spacing = 4;
+   beforeViewSizer.add(this.beforeViewLabel);
+   beforeViewSizer.add(this.beforeViewCombo, 100);
+   this.previewOptionsGroup.sizer.add(beforeViewSizer);
+
+   this.htShadowsControl = new NumericControl(this);
+   this.htShadowsControl.label.text = "Shadows:";
+   this.htShadowsControl.label.setFixedWidth(80);
+   this.htShadowsControl.setRange(0, 1);
+   this.htShadowsControl.slider.setRange(0, 1000);
+   this.htShadowsControl.slider.minWidth = 150;
+   this.htShadowsControl.setPrecision(5);
+   this.htShadowsControl.setValue(this.engine.htShadows);
+   this.htShadowsControl.toolTip = "<p>Histogram Transformation Before view: input level mapped to black.</p>";
+   this.htShadowsControl.onValueUpdated = function(value)
+   {
+      this.dialog.engine.htShadows = value;
+      this.dialog.schedulePreviewUpdate();
+   };
+   this.previewOptionsGroup.sizer.add(this.htShadowsControl);
+
+   this.htMidtonesControl = new NumericControl(this);
+   this.htMidtonesControl.label.text = "Midtones:";
+   this.htMidtonesControl.label.setFixedWidth(80);
+   this.htMidtonesControl.setRange(0.00001, 0.99999);
+   this.htMidtonesControl.slider.setRange(0, 1000);
+   this.htMidtonesControl.slider.minWidth = 150;
+   this.htMidtonesControl.setPrecision(5);
+   this.htMidtonesControl.setValue(this.engine.htMidtones);
+   this.htMidtonesControl.toolTip = "<p>Histogram Transformation Before view: midtones balance, the " +
+      "level between shadows and highlights (0 - 1) mapped to 0.5.</p>";
+   this.htMidtonesControl.onValueUpdated = function(value)
+   {
+      this.dialog.engine.htMidtones = value;
+      this.dialog.schedulePreviewUpdate();
+   };
+   this.previewOptionsGroup.sizer.add(this.htMidtonesControl);
+
+   this.htHighlightsControl = new NumericControl(this);
+   this.htHighlightsControl.label.text = "Highlights:";
+   this.htHighlightsControl.label.setFixedWidth(80);
+   this.htHighlightsControl.setRange(0, 1);
+   this.htHighlightsControl.slider.setRange(0, 1000);
+   this.htHighlightsControl.slider.minWidth = 150;
+   this.htHighlightsControl.setPrecision(5);
+   this.htHighlightsControl.setValue(this.engine.htHighlights);
+   this.htHighlightsControl.toolTip = "<p>Histogram Transformation Before view: input level mapped to white.</p>";
+   this.htHighlightsControl.onValueUpdated = function(value)
+   {
+      this.dialog.engine.htHighlights = value;
+      this.dialog.schedulePreviewUpdate();
+   };
+   this.previewOptionsGroup.sizer.add(this.htHighlightsControl);
+
+   this.htFromAutoSTFButton = new PushButton(this);
+   this.htFromAutoSTFButton.text = "From AutoSTF";
+   this.htFromAutoSTFButton.toolTip = "<p>Set shadows, midtones and highlights to the linked AutoSTF " +
+      "of the current image.</p>";
+   this.htFromAutoSTFButton.onClick = function()
+   {
+      this.dialog.setHistogramTransformationFromAutoSTF();
+   };
+
+   this.htResetButton = new PushButton(this);
+   this.htResetButton.text = "Identity";
+   this.htResetButton.toolTip = "<p>Reset to the identity transformation (0, 0.5, 1).</p>";
+   this.htResetButton.onClick = function()
+   {
+      this.dialog.setHistogramTransformation([0, 0.5, 1]);
+   };
+
+   this.htButtonSizer = new HorizontalSizer;
+   this.htButtonSizer.spacing = 4;
+   this.htButtonSizer.addSpacing(85);
+   this.htButtonSizer.add(this.htFromAutoSTFButton);
+   this.htButtonSizer.add(this.htResetButton);
+   this.htButtonSizer.addStretch();
+   this.previewOptionsGroup.sizer.add(this.htButtonSizer);
+
    // --- Left Panel Assembly ---
    this.leftPanel = new Control(this);
    this.leftPanel.setFixedWidth(310);
@@ -1364,7 +6824,11 @@ function LuptonDialog(engine)
    this.leftPanel.sizer.add(this.inputGroup);
    this.leftPanel.sizer.add(this.stretchGroup);
    this.leftPanel.sizer.add(this.blackPointGroup);
+   this.leftPanel.sizer.add(this.backgroundModelGroup);
+   this.leftPanel.sizer.add(this.weightsGroup);
+   this.leftPanel.sizer.add(this.colorCalibrationGroup);
    this.leftPanel.sizer.add(this.colorGroup);
+   this.leftPanel.sizer.add(this.outputGroup);
    this.leftPanel.sizer.add(this.previewOptionsGroup);
    this.leftPanel.sizer.addStretch();
    this.leftPanel.sizer.add(actionSizer);
@@ -1470,10 +6934,30 @@ function LuptonDialog(engine)
    this.previewControl = new PreviewControl(this, this.engine);
    this.previewControl.setMinSize(400, 300);
 
-   // Set up sampling callback
-   // Sampled values are actual pixel values, controls display value * 10000
-   this.previewControl.onSampleCallback = function(r, g, b)
-   {
+   // Set up sampling callback
+   // Sampled values are actual pixel values, controls display value * 10000
+   this.samplingPurpose = "blackPoint";
+   this.previewControl.onSampleCallback = function(r, g, b, ix, iy)
+   {
+      if (dlg.samplingPurpose === "whiteStar")
+      {
+         dlg.sampleWhiteStar(ix, iy);
+         return;
+      }
+      if (dlg.samplingPurpose === "colorStar" || dlg.samplingPurpose === "colorBackground")
+      {
+         dlg.sampleColorReference(dlg.samplingPurpose === "colorStar", ix, iy);
+         return;
+      }
+      if (dlg.samplingPurpose === "backgroundModel")
+      {
+         dlg.engine.backgroundSamples.push([ix, iy]);
+         dlg.engine.backgroundSurface = null;
+         dlg.updateBackgroundModelControls();
+         dlg.schedulePreviewUpdate();
+         return;
+      }
+
       if (dlg.engine.linkedChannels)
       {
          // Use average as black point
@@ -1524,6 +7008,79 @@ function LuptonDialog(engine)
    this.splitControl.sizer.add(this.splitLabel);
    this.splitControl.sizer.add(this.splitSlider, 100);
 
+   // Histogram of the preview with draggable black point markers
+   this.histogramControl = new HistogramControl(this, this.engine);
+   this.histogramControl.setFixedWidth(260);
+   this.histogramControl.setFixedHeight(160);
+   this.histogramControl.toolTip = "<p>Histograms of the preview: R, G, B and intensity (gray).</p>" +
+      "<p>In Input mode, drag the black point markers to set the black points.</p>";
+   this.histogramControl.onMarkerMoved = function(key, value)
+   {
+      var controls = {
+         blackPoint: dlg.blackPointControl,
+         blackR: dlg.blackRControl,
+         blackG: dlg.blackGControl,
+         blackB: dlg.blackBControl
+      };
+      controls[key].setValue(value * 10000);  // Convert to display scale
+      dlg.schedulePreviewUpdate();
+   };
+
+   this.histogramModeCombo = new ComboBox(this);
+   this.histogramModeCombo.addItem("Input");
+   this.histogramModeCombo.addItem("Output");
+   this.histogramModeCombo.currentItem = 0;
+   this.histogramModeCombo.toolTip = "<p><b>Input</b>: the unprocessed preview, with the black point markers.</p>" +
+      "<p><b>Output</b>: the stretched result of the last After view.</p>";
+   this.histogramModeCombo.onItemSelected = function(index)
+   {
+      // Input zooms to the black point markers, Output shows 0 - 1
+      dlg.histogramControl.showOutput = (index === 1);
+      dlg.setHistogramZoom((index === 1) ? 1 : dlg.histogramControl.markerZoom());
+   };
+
+   this.histogramLogCheckbox = new CheckBox(this);
+   this.histogramLogCheckbox.text = "Log";
+   this.histogramLogCheckbox.checked = false;
+   this.histogramLogCheckbox.toolTip = "Logarithmic counts, to see faint tails next to the background peak";
+   this.histogramLogCheckbox.onCheck = function(checked)
+   {
+      dlg.histogramControl.logScale = checked;
+      dlg.histogramControl.update();
+   };
+
+   this.histogramZoomOutButton = new ToolButton(this);
+   this.histogramZoomOutButton.text = "-";
+   this.histogramZoomOutButton.setFixedWidth(24);
+   this.histogramZoomOutButton.toolTip = "Show a wider range of values";
+   this.histogramZoomOutButton.onClick = function()
+   {
+      dlg.setHistogramZoom(dlg.histogramControl.zoom / 2);
+   };
+
+   this.histogramZoomLabel = new Label(this);
+   this.histogramZoomLabel.text = "1:1";
+   this.histogramZoomLabel.textAlignment = TextAlign_Center;
+   this.histogramZoomLabel.setFixedWidth(45);
+
+   this.histogramZoomInButton = new ToolButton(this);
+   this.histogramZoomInButton.text = "+";
+   this.histogramZoomInButton.setFixedWidth(24);
+   this.histogramZoomInButton.toolTip = "Zoom in on the low end, where the background and black points are";
+   this.histogramZoomInButton.onClick = function()
+   {
+      dlg.setHistogramZoom(dlg.histogramControl.zoom * 2);
+   };
+
+   var histogramToolbar = new HorizontalSizer;
+   histogramToolbar.spacing = 6;
+   histogramToolbar.add(this.histogramModeCombo);
+   histogramToolbar.add(this.histogramLogCheckbox);
+   histogramToolbar.addStretch();
+   histogramToolbar.add(this.histogramZoomOutButton);
+   histogramToolbar.add(this.histogramZoomLabel);
+   histogramToolbar.add(this.histogramZoomInButton);
+
    // Cursor info bar
    this.cursorInfoLabel = new Label(this);
    this.cursorInfoLabel.text = "Cursor: (---, ---) | R=-.--- G=-.--- B=-.---";
@@ -1538,13 +7095,25 @@ function LuptonDialog(engine)
    infoSizer.addStretch();
    infoSizer.add(this.imageSizeLabel);
 
+   // The histogram sits beside the preview, at the top of its own column
+   var histogramSizer = new VerticalSizer;
+   histogramSizer.spacing = 6;
+   histogramSizer.add(histogramToolbar);
+   histogramSizer.add(this.histogramControl);
+   histogramSizer.addStretch();
+
+   var previewSizer = new HorizontalSizer;
+   previewSizer.spacing = 6;
+   previewSizer.add(this.previewControl, 100);
+   previewSizer.add(histogramSizer);
+
    // Right panel assembly
    this.rightPanel = new Control(this);
    this.rightPanel.sizer = new VerticalSizer;
    this.rightPanel.sizer.margin = 6;
    this.rightPanel.sizer.spacing = 6;
    this.rightPanel.sizer.add(previewToolbar);
-   this.rightPanel.sizer.add(this.previewControl, 100);
+   this.rightPanel.sizer.add(previewSizer, 100);
    this.rightPanel.sizer.add(this.splitControl);
    this.rightPanel.sizer.add(infoSizer);
 
@@ -1561,14 +7130,21 @@ function LuptonDialog(engine)
    this.statusLabel.text = "Lupton RGB v" + VERSION + " | Based on Lupton et al. (2004) PASP 116:133";
    this.statusLabel.textAlignment = TextAlign_Left;
 
+   this.indicatorLabel = new Label(this);
+   this.indicatorLabel.text = "";
+   this.indicatorLabel.textAlignment = TextAlign_Right;
+   this.indicatorLabel.toolTip = "Share of the stretched After view pixels in each clipping category";
+
    this.timeLabel = new Label(this);
    this.timeLabel.text = "";
    this.timeLabel.textAlignment = TextAlign_Right;
 
    var statusSizer = new HorizontalSizer;
    statusSizer.margin = 4;
+   statusSizer.spacing = 12;
    statusSizer.add(this.statusLabel);
    statusSizer.addStretch();
+   statusSizer.add(this.indicatorLabel);
    statusSizer.add(this.timeLabel);
 
    this.sizer = new VerticalSizer;
@@ -1589,12 +7165,259 @@ function LuptonDialog(engine)
       this.splitControl.visible = (mode === 2);
    };
 
+   // Astropy's stretch and minimum take values outside the ranges of the
+   // Lupton controls, such as stretch=0.02 or minimum=0.0123. Widen and
+   // refine the stretch and black point controls while astropy mode is on;
+   // leaving the mode clamps the values back into the normal ranges.
+   this.updateAstropyRanges = function(astropy)
+   {
+      if (astropy === this.astropyRanges)
+         return;
+      var leaving = (this.astropyRanges === true);
+      this.astropyRanges = astropy;
+
+      var stretchParam = StretchFunctions[0].parameters[0];
+      if (leaving)
+         this.engine.stretch = Math.max(stretchParam.min, this.engine.stretch);
+      this.stretchControl.setRange(astropy ? 0.001 : stretchParam.min, stretchParam.max);
+      this.stretchControl.setPrecision(astropy ? 4 : stretchParam.precision);
+      this.stretchControl.setValue(this.engine.stretch);
+
+      // Display scale stays actual * 10000: 0-100 normally, 0-10000 with
+      // two decimals (the full 0-1 range in steps of 0.000001) for astropy
+      var controls = { blackPoint: this.blackPointControl, blackR: this.blackRControl,
+                       blackG: this.blackGControl, blackB: this.blackBControl, blackL: this.blackLControl };
+      for (var key in controls)
+      {
+         if (leaving)
+            this.engine[key] = Math.min(0.01, this.engine[key]);
+         controls[key].setRange(0, astropy ? 10000 : 100);
+         controls[key].slider.setRange(0, astropy ? 10000 : 1000);
+         controls[key].setPrecision(astropy ? 2 : 0);
+         controls[key].setValue(this.engine[key] * 10000);
+      }
+      // The histogram markers cover the same range, zoomed to fit
+      this.histogramControl.maxBlackPoint = astropy ? 1 : 0.01;
+      if (!this.histogramControl.showOutput)
+         this.setHistogramZoom(this.histogramControl.markerZoom());
+
+      var scale = astropy ? "0-10000 scale" : "0-100 scale";
+      this.blackPointControl.toolTip = "Value subtracted before stretch (" + scale + ", actual = value/10000)";
+      this.blackLControl.toolTip = "Black point of the luminance master (" + scale + ", actual = value/10000)";
+   };
+
+   this.updateStretchControls = function()
+   {
+      // Astropy mode always uses the arcsinh parameters, with astropy's meaning
+      var astropy = this.engine.astropyCompatible;
+      var fn = astropy ? StretchFunctions[0] : findStretchFunction(this.engine.stretchFunction);
+      for (var i = 0; i < StretchFunctions.length; i++)
+      {
+         var fnParams = StretchFunctions[i].parameters;
+         for (var j = 0; j < fnParams.length; j++)
+            this.stretchParamControls[fnParams[j].key].visible = (StretchFunctions[i] === fn);
+      }
+      this.stretchFunctionCombo.currentItem = StretchFunctions.indexOf(fn);
+      this.stretchFunctionCombo.enabled = !astropy;
+      this.stretchControl.label.text = astropy ? "Stretch:" : StretchFunctions[0].parameters[0].label;
+      this.stretchHelpLabel.text = astropy ? "astropy: asinh(I\u00B7Q/stretch), Q >= 0" : fn.help;
+      this.updateAstropyRanges(astropy);
+
+      // Auto stretch and the physical parameters apply to the Lupton
+      // arcsinh parameters only
+      var lupton = (this.engine.validateAutoStretch() === null);
+      this.autoStretchBackgroundControl.visible = lupton;
+      this.autoStretchClippingControl.visible = lupton;
+      this.autoStretchButton.visible = lupton;
+      this.autoStretchCheckbox.visible = lupton;
+      this.physicalCheckbox.visible = lupton;
+      var physical = lupton && this.engine.physicalParameters;
+      this.softeningWidthControl.visible = physical;
+      this.referenceFluxControl.visible = physical;
+      this.referenceBrightnessControl.visible = physical;
+      this.noiseLabel.visible = physical;
+
+      // Controls the astropy mapping does not have
+      this.intensityCombo.enabled = !astropy;
+      this.intensityRControl.enabled = !astropy;
+      this.intensityGControl.enabled = !astropy;
+      this.intensityBControl.enabled = !astropy;
+      this.weightsGroup.enabled = !astropy;
+      this.colorCalibrationGroup.enabled = !astropy;
+      this.luminanceBlendControl.enabled = !astropy && this.engine.usesLuminance();
+      this.saturationControl.enabled = !astropy;
+      this.saturationModelCombo.enabled = !astropy;
+      this.updateSaturationControls();
+      this.clippingCombo.enabled = !astropy;
+      this.clippingKneeControl.enabled = !astropy;
+      this.rescalePercentileControl.enabled = !astropy;
+      this.rescaleLinkedCheckbox.enabled = !astropy;
+      this.updateBackgroundModelControls();
+
+      this.adjustToContents();
+   };
+
+   this.updateIntensityControls = function()
+   {
+      var custom = (this.engine.intensityMode === 3);
+      this.intensityRControl.visible = custom;
+      this.intensityGControl.visible = custom;
+      this.intensityBControl.visible = custom;
+      this.adjustToContents();
+   };
+
+   this.updateBeforeViewControls = function()
+   {
+      var ht = (this.engine.beforeView === 2);
+      this.htShadowsControl.visible = ht;
+      this.htMidtonesControl.visible = ht;
+      this.htHighlightsControl.visible = ht;
+      this.htFromAutoSTFButton.visible = ht;
+      this.htResetButton.visible = ht;
+      this.adjustToContents();
+   };
+
+   // Set the Histogram Transformation Before view to [shadows, midtones,
+   // highlights]
+   this.setHistogramTransformation = function(stf)
+   {
+      this.engine.htShadows = stf[0];
+      this.engine.htMidtones = stf[1];
+      this.engine.htHighlights = stf[2];
+      this.htShadowsControl.setValue(stf[0]);
+      this.htMidtonesControl.setValue(stf[1]);
+      this.htHighlightsControl.setValue(stf[2]);
+      this.schedulePreviewUpdate();
+   };
+
+   this.setHistogramTransformationFromAutoSTF = function()
+   {
+      var inputs = this.engine.getInputs(this.targetWindow);
+      if (!inputs)
+      {
+         console.warningln("No image selected for AutoSTF");
+         return;
+      }
+
+      var statistics = this.engine.displayStatistics;
+      if (statistics === null)
+         statistics = this.engine.measureDisplayStatistics(inputs);
+      var stf = this.engine.linkedAutoSTF(statistics);
+      this.setHistogramTransformation(stf);
+      this.statusLabel.text = format("AutoSTF: shadows=%.5f, midtones=%.5f", stf[0], stf[1]);
+   };
+
+   this.updateClippingControls = function()
+   {
+      this.clippingKneeControl.visible = (this.engine.clippingMode === 3 || this.engine.clippingMode === 4);
+      this.rescalePercentileControl.visible = (this.engine.clippingMode === 2);
+      this.rescaleLinkedCheckbox.visible = (this.engine.clippingMode === 2);
+      this.adjustToContents();
+   };
+
+   this.updateSaturationControls = function()
+   {
+      var ramp = this.engine.saturationRamp && !this.engine.astropyCompatible;
+      this.saturationRampCheckbox.enabled = !this.engine.astropyCompatible;
+      this.saturationThresholdControl.enabled = ramp && !this.engine.protectBackground;
+      this.saturationSoftnessControl.enabled = ramp;
+      this.protectBackgroundCheckbox.enabled = ramp;
+   };
+
+   this.updateBackgroundModelControls = function()
+   {
+      var enabled = !this.engine.astropyCompatible;
+      var model = this.engine.backgroundModel && enabled;
+      this.backgroundModelCheckbox.enabled = enabled;
+      this.backgroundDegreeCombo.enabled = model;
+      this.addBackgroundSamplesButton.enabled = model;
+      this.clearBackgroundSamplesButton.enabled = model && this.engine.backgroundSamples.length > 0;
+      this.showBackgroundModelCheckbox.enabled = model;
+      var count = this.engine.backgroundSamples.length;
+      this.backgroundSamplesLabel.text = (count > 0) ? format("%d sample%s", count, (count > 1) ? "s" : "") :
+                                                       "Automatic samples";
+      if (!model && this.previewControl.samplingMode && this.samplingPurpose === "backgroundModel")
+         this.stopBackgroundSampling();
+   };
+
+   // Leave the continuous background sampling started by the Add button
+   this.stopBackgroundSampling = function()
+   {
+      this.previewControl.samplingMode = false;
+      this.previewControl.samplingContinuous = false;
+      this.previewControl.cursor = new Cursor(StdCursor_Arrow);
+      this.addBackgroundSamplesButton.text = "Add";
+      this.statusLabel.text = format("Background model: %d clicked samples", this.engine.backgroundSamples.length);
+   };
+
+   // Show either the R/G/B masters or the palette masters and the mixing
+   // matrix; weights are editable for fixed palettes only
+   this.updatePaletteControls = function()
+   {
+      var separate = !this.engine.useActiveImage;
+      var palette = this.engine.usePalette;
+      var views = this.engine.paletteViews;
+      var mix = findPaletteMix(this.engine.palette);
+
+      this.paletteCheckbox.enabled = separate;
+      this.imageRCombo.enabled = this.imageGCombo.enabled = this.imageBCombo.enabled = separate;
+      this.imageRLabel.visible = this.imageRCombo.visible = !palette;
+      this.imageGLabel.visible = this.imageGCombo.visible = !palette;
+      this.imageBLabel.visible = this.imageBCombo.visible = !palette;
+
+      this.paletteLabel.visible = this.paletteCombo.visible = palette;
+      this.paletteHeaderLabel.visible = palette;
+      this.paletteCombo.enabled = separate;
+      this.paletteCombo.currentItem = PaletteMixes.indexOf(mix);
+      this.paletteCombo.toolTip = mix.toolTip;
+      this.ensurePaletteRows(views.length + 1);
+      for (var i = 0; i < this.paletteRows.length; i++)
+      {
+         var row = this.paletteRows[i];
+         var used = i < views.length;
+         row.label.visible = row.combo.visible = palette && i <= views.length;
+         row.combo.enabled = separate;
+         if (used)
+            this.selectComboView(row.combo, views[i]);
+         else
+            row.combo.currentItem = 0;
+         for (var c = 0; c < 3; c++)
+         {
+            row.weights[c].visible = row.label.visible;
+            row.weights[c].enabled = separate && used && mix.matrix !== undefined;
+            row.weights[c].setValue((used && i < this.engine.paletteMatrix.length) ? this.engine.paletteMatrix[i][c] : 0);
+         }
+      }
+      this.adjustToContents();
+   };
+
+   this.updateLuminanceControls = function()
+   {
+      var lrgb = this.engine.usesLuminance();
+      this.luminanceBlendControl.enabled = lrgb && !this.engine.astropyCompatible;
+      this.blackLControl.visible = lrgb;
+      this.adjustToContents();
+   };
+
+   // Horizontal zoom of the histogram on the low end, limited to 1 - 64
+   this.setHistogramZoom = function(zoom)
+   {
+      this.histogramControl.zoom = Math.max(1, Math.min(64, zoom));
+      this.histogramZoomLabel.text = format("%d:1", this.histogramControl.zoom);
+      this.histogramControl.update();
+   };
+
+   // Called after each zoom change, which also renders the preview again
    this.updateZoomLabel = function()
    {
       this.zoomLabel.text = this.previewControl.getZoomText();
+      this.updateIndicatorLabel();
+      this.histogramControl.update();
    };
 
-   this.updateTargetWindow = function()
+   // keepPreviewCache is true when only the palette mix changed: the
+   // preview cache holds the unchanged masters and is mixed again
+   this.updateTargetWindow = function(keepPreviewCache)
    {
       if (this.engine.useActiveImage)
       {
@@ -1602,12 +7425,51 @@ function LuptonDialog(engine)
       }
       // else: keep the targetWindow that was set by the dropdown
 
-      this.previewControl.sourceWindow = this.targetWindow;
+      // Measured again for the new inputs when needed
+      this.engine.backgroundLevels = null;
+      this.engine.backgroundSurface = null;
+      this.engine.channelNoise = null;
+      if (!keepPreviewCache)
+         this.engine.previewCache = null;
+      this.engine.displayStatistics = null;
+
+      // Separate masters share one geometry; the first master's window
+      // stands in as the preview source and the engine reads all of them.
+      var sourceWindow = this.targetWindow;
+      if (this.engine.usesSeparateChannels())
+      {
+         var master = this.engine.masterViews()[0];
+         sourceWindow = (master && !master.isNull) ? master.window : null;
+      }
+
+      var inputError = this.engine.validateInputs(sourceWindow);
+      if (inputError === null)
+      {
+         this.previewControl.sourceWindow = sourceWindow;
+         if (this.engine.usesLuminance())
+            this.statusLabel.text = "LRGB: intensity from luminance master " + this.engine.imageL.id;
+         else if (this.engine.usesPalette())
+            this.statusLabel.text = "Mixing " + this.engine.describePalette();
+         else if (this.engine.usesSeparateChannels())
+            this.statusLabel.text = "Combining separate R/G/B masters";
+
+         var mask = this.engine.getMask(sourceWindow);
+         if (mask !== null)
+            this.statusLabel.text = "Stretch limited by mask " + mask.view.id + (mask.inverted ? " (inverted)" : "");
+      }
+      else
+      {
+         this.previewControl.sourceWindow = null;
+         this.statusLabel.text = inputError;
+      }
+
+      // The physical parameters carry over to the new image's noise
+      this.updateStretchFromPhysical();
 
-      if (this.targetWindow && this.targetWindow.mainView && this.targetWindow.mainView.image)
+      var inputs = this.engine.getInputs(this.previewControl.sourceWindow);
+      if (inputs)
       {
-         var img = this.targetWindow.mainView.image;
-         this.imageSizeLabel.text = format("%d x %d px | 32-bit", img.width, img.height);
+         this.imageSizeLabel.text = format("%d x %d px | 32-bit", inputs.width, inputs.height);
       }
       else
       {
@@ -1617,64 +7479,226 @@ function LuptonDialog(engine)
       this.schedulePreviewUpdate();
    };
 
-   // Throttling state
-   this.lastPreviewTime = 0;
-   this.previewSkipCount = 0;
+   // Deferred preview rendering. Every parameter change restarts the
+   // settle timer, so bursts of changes coalesce and the final state is
+   // always rendered at full quality once they stop. While changes keep
+   // coming, the coarse timer renders a quick pass at most every 50 ms,
+   // coarse enough to take about that long.
+   this.previewRevision = 0;    // Incremented by every parameter change
+   this.renderedRevision = -1;  // Revision last rendered at full quality
+   this.fullRenderTime = 0;     // Seconds taken by the last full-quality render
+
+   this.coarseTimer = new Timer;
+   this.coarseTimer.interval = 0.05;
+   this.coarseTimer.periodic = false;
+   this.coarseTimer.onTimeout = function()
+   {
+      dlg.renderPreview(dlg.coarsePreviewStep());
+   };
+
+   this.settleTimer = new Timer;
+   this.settleTimer.interval = 0.3;
+   this.settleTimer.periodic = false;
+   this.settleTimer.onTimeout = function()
+   {
+      if (dlg.renderedRevision !== dlg.previewRevision)
+         dlg.renderPreview(1);
+   };
 
    this.schedulePreviewUpdate = function()
    {
+      // Parameter changes end up here; band weights and the intensity
+      // definition also move the physical parameters
+      this.updatePhysicalFromStretch();
+
       if (!this.showPreviewCheckbox.checked)
          return;
 
-      // Throttle updates - skip if last update was less than 80ms ago
-      var now = new Date().getTime();
-      var elapsed = now - this.lastPreviewTime;
+      this.previewRevision++;
+      if (!this.coarseTimer.isRunning)
+         this.coarseTimer.start();
+      this.settleTimer.stop();
+      this.settleTimer.start();
+   };
+
+   // Pixel step of the coarse pass: 1 (full quality) when a full render
+   // fits in the coarse interval, up to 8 for slow ones
+   this.coarsePreviewStep = function()
+   {
+      return Math.min(8, Math.max(1, Math.ceil(Math.sqrt(this.fullRenderTime / this.coarseTimer.interval))));
+   };
 
-      if (elapsed < 80)
+   // Render the preview now, computing every step-th pixel (1 = full quality)
+   this.renderPreview = function(step)
+   {
+      var start = new Date().getTime();
+      this.previewControl.updatePreview(step);
+      var renderTime = (new Date().getTime() - start) / 1000;
+      this.updateIndicatorLabel();
+      this.histogramControl.update();
+      if (step === 1)
       {
-         // Skip this update but count it
-         this.previewSkipCount++;
-         // Only force update every 4th skip to keep preview somewhat responsive
-         if (this.previewSkipCount < 4)
-            return;
+         this.renderedRevision = this.previewRevision;
+         this.fullRenderTime = renderTime;
+         this.timeLabel.text = format("Preview: %.2fs", renderTime);
       }
+      else
+      {
+         this.timeLabel.text = format("Preview: %.2fs (1:%d)", renderTime, step);
+      }
+   };
 
-      this.previewSkipCount = 0;
-      this.lastPreviewTime = now;
+   // Percentages of the ClippingIndicators categories in the last After
+   // view, blank when it was not computed
+   this.updateIndicatorLabel = function()
+   {
+      var result = this.engine.indicatorCounts;
+      if (result === null)
+      {
+         this.indicatorLabel.text = "";
+         return;
+      }
 
-      var start = now;
-      this.previewControl.updatePreview();
-      var renderTime = (new Date().getTime() - start) / 1000;
-      this.timeLabel.text = format("Preview: %.2fs", renderTime);
+      var parts = [];
+      for (var i = 0; i < ClippingIndicators.length; i++)
+         parts.push(format("%s %.2f%%", ClippingIndicators[i].name, 100 * result.counts[i] / result.pixels));
+      this.indicatorLabel.text = parts.join(" | ");
    };
 
-   // Force preview update (bypasses throttling) - use for button clicks
+   // Force preview update (bypasses the timers) - use for button clicks
    this.forcePreviewUpdate = function()
    {
-      this.lastPreviewTime = 0;  // Reset throttle
-      this.previewSkipCount = 0;
-      var start = new Date().getTime();
-      this.previewControl.updatePreview();
-      var renderTime = (new Date().getTime() - start) / 1000;
-      this.timeLabel.text = format("Preview: %.2fs", renderTime);
+      this.coarseTimer.stop();
+      this.settleTimer.stop();
+      this.renderPreview(1);
+   };
+
+   // Pending renders must not fire into a closed dialog
+   this.onHide = function()
+   {
+      this.coarseTimer.stop();
+      this.settleTimer.stop();
+   };
+
+   // Measure the background noise for the physical parameters unless known.
+   // Returns false without a valid input image.
+   this.ensureNoise = function()
+   {
+      if (this.engine.channelNoise !== null) return true;
+
+      var inputs = this.engine.getInputs(this.targetWindow);
+      if (!inputs) return false;
+      if (this.engine.usesBackgroundModel())
+         this.engine.ensureBackgroundModel(inputs);
+      this.engine.measureNoise(inputs);
+      return true;
+   };
+
+   // Show the physical parameters of the current alpha and Q
+   this.updatePhysicalFromStretch = function()
+   {
+      if (!this.engine.usesPhysicalParameters()) return;
+
+      if (this.ensureNoise() && this.engine.physicalFromStretch())
+      {
+         this.softeningWidthControl.setValue(this.engine.softeningWidth);
+         this.referenceBrightnessControl.setValue(this.engine.referenceBrightness);
+         this.noiseLabel.text = format("Noise \u03C3 = %.3e", this.engine.intensityNoise());
+      }
+      else
+      {
+         this.noiseLabel.text = "Needs Q > 0 and a measurable background";
+      }
+   };
+
+   // Set alpha and Q from the physical parameters
+   this.updateStretchFromPhysical = function()
+   {
+      if (!this.engine.usesPhysicalParameters()) return;
+
+      if (this.ensureNoise() && this.engine.stretchFromPhysical())
+      {
+         this.stretchControl.setValue(this.engine.stretch);
+         this.qControl.setValue(this.engine.Q);
+         this.noiseLabel.text = format("Noise \u03C3 = %.3e", this.engine.intensityNoise());
+      }
+      else
+      {
+         this.noiseLabel.text = "Needs a measurable background";
+      }
+   };
+
+   this.calculateAutoStretch = function()
+   {
+      var inputs = this.engine.getInputs(this.targetWindow);
+      if (!inputs)
+      {
+         console.warningln("No image selected for auto stretch");
+         return;
+      }
+
+      if (this.engine.usesBackgroundModel())
+         this.engine.ensureBackgroundModel(inputs);
+      var result = this.engine.solveAutoStretch(inputs);
+      if (result === null)
+      {
+         this.statusLabel.text = "Auto stretch: no pixels above the black point";
+         return;
+      }
+
+      this.stretchControl.setValue(result.stretch);
+      this.qControl.setValue(result.Q);
+      this.updatePhysicalFromStretch();
+      this.statusLabel.text = format("Auto stretch: \u03B1=%.2f, Q=%.2f", result.stretch, result.Q);
+      this.forcePreviewUpdate();
    };
 
    this.calculateAutoBlackPoint = function()
    {
-      if (!this.targetWindow)
+      var inputs = this.engine.getInputs(this.targetWindow);
+      if (!inputs)
       {
          console.warningln("No image selected for auto black point calculation");
          return;
       }
 
-      var view = this.targetWindow.mainView;
+      if (this.engine.neutralizeBackground)
+      {
+         var neutral = this.engine.neutralBlackPoints(inputs);
+         if (neutral === null)
+         {
+            if (this.engine.neutralPedestalDirection() === null)
+               console.warningln("The color matrix cannot make the background neutral: it is singular or " +
+                                 "needs a negative pedestal in some channel");
+            else
+               console.warningln("No background pixels found for auto black point calculation");
+            return;
+         }
+
+         // Neutralization needs independent channel black points
+         if (this.engine.linkedChannels)
+         {
+            this.linkedCheckbox.checked = false;
+            this.linkedCheckbox.onCheck(false);
+         }
 
-      if (this.engine.linkedChannels)
+         this.engine.blackR = neutral[0];
+         this.engine.blackG = neutral[1];
+         this.engine.blackB = neutral[2];
+
+         this.blackRControl.setValue(neutral[0] * 10000);  // Convert to display scale
+         this.blackGControl.setValue(neutral[1] * 10000);
+         this.blackBControl.setValue(neutral[2] * 10000);
+
+         console.writeln(format("Auto black point (neutral background, k=%.2f) R: %.6f, G: %.6f, B: %.6f",
+                                this.engine.blackPointSigma, neutral[0], neutral[1], neutral[2]));
+      }
+      else if (this.engine.linkedChannels)
       {
          // Calculate average black point across channels
-         var bp0 = this.engine.calculateAutoBlackPoint(view, 0);
-         var bp1 = this.engine.calculateAutoBlackPoint(view, 1);
-         var bp2 = this.engine.calculateAutoBlackPoint(view, 2);
+         var bp0 = this.engine.calculateAutoBlackPoint(inputs.images[0], inputs.channels[0]);
+         var bp1 = this.engine.calculateAutoBlackPoint(inputs.images[1], inputs.channels[1]);
+         var bp2 = this.engine.calculateAutoBlackPoint(inputs.images[2], inputs.channels[2]);
          var avgBp = (bp0 + bp1 + bp2) / 3;
 
          this.engine.blackPoint = avgBp;
@@ -1683,9 +7707,9 @@ function LuptonDialog(engine)
       }
       else
       {
-         var bpR = this.engine.calculateAutoBlackPoint(view, 0);
-         var bpG = this.engine.calculateAutoBlackPoint(view, 1);
-         var bpB = this.engine.calculateAutoBlackPoint(view, 2);
+         var bpR = this.engine.calculateAutoBlackPoint(inputs.images[0], inputs.channels[0]);
+         var bpG = this.engine.calculateAutoBlackPoint(inputs.images[1], inputs.channels[1]);
+         var bpB = this.engine.calculateAutoBlackPoint(inputs.images[2], inputs.channels[2]);
 
          this.engine.blackR = bpR;
          this.engine.blackG = bpG;
@@ -1698,65 +7722,251 @@ function LuptonDialog(engine)
          console.writeln(format("Auto black point R: %.6f, G: %.6f, B: %.6f", bpR, bpG, bpB));
       }
 
+      if (this.engine.usesLuminance())
+      {
+         var bpL = this.engine.calculateAutoBlackPoint(this.engine.imageL.image, 0);
+         this.engine.blackL = bpL;
+         this.blackLControl.setValue(bpL * 10000);
+         console.writeln(format("Auto black point L: %.6f", bpL));
+      }
+
+      this.schedulePreviewUpdate();
+   };
+
+   this.setBandWeights = function(weights)
+   {
+      this.engine.weightR = weights[0];
+      this.engine.weightG = weights[1];
+      this.engine.weightB = weights[2];
+      this.weightRControl.setValue(weights[0]);
+      this.weightGControl.setValue(weights[1]);
+      this.weightBControl.setValue(weights[2]);
+      this.schedulePreviewUpdate();
+   };
+
+   this.sampleWhiteStar = function(ix, iy)
+   {
+      var inputs = this.engine.getInputs(this.previewControl.sourceWindow);
+      var flux = inputs ? this.engine.measureStarFlux(inputs, ix, iy) : null;
+      if (!flux)
+      {
+         this.statusLabel.text = "No measurable star found at the clicked position";
+         return;
+      }
+
+      var weights = this.engine.weightsFromFlux(flux);
+      console.writeln(format("White reference star at (%d, %d): weights R=%.4f, G=%.4f, B=%.4f",
+                             ix, iy, weights[0], weights[1], weights[2]));
+      this.setBandWeights(weights);
+      this.statusLabel.text = "Band weights set from white reference star";
+   };
+
+   this.setColorMatrix = function(matrix)
+   {
+      this.engine.colorMatrix = matrix;
+      this.updateColorMatrixControls();
+      this.schedulePreviewUpdate();
+   };
+
+   this.updateColorMatrixControls = function()
+   {
+      for (var i = 0; i < 3; i++)
+      {
+         for (var j = 0; j < 3; j++)
+         {
+            this.colorMatrixEdits[i][j].setValue(this.engine.colorMatrix[i][j]);
+            this.colorMatrixEdits[i][j].enabled = this.engine.colorCalibration;
+         }
+      }
+   };
+
+   // Record a white star or neutral background reference at image (ix, iy)
+   // and derive the color matrix once a star is known
+   this.sampleColorReference = function(star, ix, iy)
+   {
+      var inputs = this.engine.getInputs(this.previewControl.sourceWindow);
+      if (!inputs) return;
+
+      if (star)
+      {
+         var flux = this.engine.measureStarFlux(inputs, ix, iy);
+         if (!flux)
+         {
+            this.statusLabel.text = "No measurable star found at the clicked position";
+            return;
+         }
+         this.colorReferenceStar = [flux[0] * this.engine.weightR, flux[1] * this.engine.weightG,
+                                    flux[2] * this.engine.weightB];
+      }
+      else
+      {
+         if (this.engine.usesBackgroundModel())
+            this.engine.ensureBackgroundModel(inputs);
+         var level = this.engine.referenceBackground(inputs, ix, iy);
+         if (!level)
+         {
+            this.statusLabel.text = "No usable background at the clicked position";
+            return;
+         }
+         this.colorReferenceBackground = level;
+      }
+
+      if (this.colorReferenceStar === null)
+      {
+         this.statusLabel.text = "Neutral background sampled; now sample a white reference star";
+         return;
+      }
+
+      var matrix = this.engine.colorMatrixFromReferences(this.colorReferenceStar, this.colorReferenceBackground);
+      if (matrix === null)
+      {
+         this.statusLabel.text = "The reference star has no flux in some channel";
+         return;
+      }
+      var matrixError = this.engine.validateColorMatrix(matrix);
+      if (matrixError !== null)
+      {
+         console.warningln("Derived color matrix rejected: " + matrixError);
+         this.statusLabel.text = "Derived color matrix out of range; try other references";
+         return;
+      }
+
+      this.engine.colorCalibration = true;
+      this.colorCalibrationCheckbox.checked = true;
+      this.setColorMatrix(matrix);
+      console.writeln("Color matrix from " + (this.colorReferenceBackground ? "white star and background" : "white star") +
+                      ": " + this.engine.describeColorMatrix());
+      this.statusLabel.text = this.colorReferenceBackground ? "Color matrix set from white star and neutral background" :
+                                                              "Color matrix set from white star";
+   };
+
+   this.loadColorMatrix = function()
+   {
+      var dialog = new OpenFileDialog;
+      dialog.caption = "Load Color Matrix";
+      dialog.filters = [["Color matrix files", "*.txt", "*.json"], ["All files", "*"]];
+      if (!dialog.execute()) return;
+
+      var error = this.engine.loadColorMatrix(dialog.fileName);
+      if (error !== null)
+      {
+         (new MessageBox(error + ".", TITLE, StdIcon_Error, StdButton_Ok)).execute();
+         return;
+      }
+
+      this.engine.colorCalibration = true;
+      this.colorCalibrationCheckbox.checked = true;
+      this.updateColorMatrixControls();
       this.schedulePreviewUpdate();
+      console.writeln("Color matrix loaded from " + dialog.fileName + ": " + this.engine.describeColorMatrix());
+   };
+
+   this.calculateStarWeights = function()
+   {
+      var inputs = this.engine.getInputs(this.targetWindow);
+      if (!inputs)
+      {
+         console.warningln("No image selected for star color calibration");
+         return;
+      }
+
+      console.writeln("Measuring unsaturated stars...");
+      var result = this.engine.estimateStarWeights(inputs);
+      if (!result)
+      {
+         this.statusLabel.text = "No unsaturated stars found";
+         console.warningln("Star color calibration: no unsaturated stars found");
+         return;
+      }
+
+      var weights = result.weights;
+      console.writeln(format("Average of %d stars: weights R=%.4f, G=%.4f, B=%.4f",
+                             result.count, weights[0], weights[1], weights[2]));
+      this.setBandWeights(weights);
+      this.statusLabel.text = format("Band weights set from %d stars", result.count);
    };
 
    this.updateControlsFromEngine = function()
    {
-      this.stretchControl.setValue(this.engine.stretch);
-      this.qControl.setValue(this.engine.Q);
+      for (var key in this.stretchParamControls)
+         this.stretchParamControls[key].setValue(this.engine[key]);
+      this.updateStretchControls();
       this.blackPointControl.setValue(this.engine.blackPoint * 10000);  // Convert to display scale
       this.blackRControl.setValue(this.engine.blackR * 10000);
       this.blackGControl.setValue(this.engine.blackG * 10000);
       this.blackBControl.setValue(this.engine.blackB * 10000);
+      this.autoStretchBackgroundControl.setValue(this.engine.autoStretchBackground);
+      this.autoStretchClippingControl.setValue(this.engine.autoStretchClipping * 100);
+      this.autoStretchCheckbox.checked = this.engine.autoStretch;
+      this.physicalCheckbox.checked = this.engine.physicalParameters;
+      this.softeningWidthControl.setValue(this.engine.softeningWidth);
+      this.referenceFluxControl.setValue(this.engine.referenceFlux);
+      this.referenceBrightnessControl.setValue(this.engine.referenceBrightness);
       this.linkedCheckbox.checked = this.engine.linkedChannels;
+      this.blackPointSigmaControl.setValue(this.engine.blackPointSigma);
+      this.neutralizeBackgroundCheckbox.checked = this.engine.neutralizeBackground;
+      this.backgroundModelCheckbox.checked = this.engine.backgroundModel;
+      this.backgroundDegreeCombo.currentItem = this.engine.backgroundDegree - 1;
+      this.updateBackgroundModelControls();
+      this.astropyCheckbox.checked = this.engine.astropyCompatible;
       this.saturationControl.setValue(this.engine.saturation);
+      var saturationModel = findSaturationModel(this.engine.saturationModel);
+      this.saturationModelCombo.currentItem = SaturationModels.indexOf(saturationModel);
+      this.saturationModelCombo.toolTip = saturationModel.toolTip;
+      this.saturationRampCheckbox.checked = this.engine.saturationRamp;
+      this.saturationThresholdControl.setValue(this.engine.saturationThreshold);
+      this.saturationSoftnessControl.setValue(this.engine.saturationSoftness);
+      this.protectBackgroundCheckbox.checked = this.engine.protectBackground;
+      this.updateSaturationControls();
       this.clippingCombo.currentItem = this.engine.clippingMode;
+      this.clippingKneeControl.setValue(this.engine.clippingKnee);
+      this.rescalePercentileControl.setValue(this.engine.rescalePercentile);
+      this.rescaleLinkedCheckbox.checked = this.engine.rescaleLinked;
+      this.updateClippingControls();
+      this.outputCombo.currentItem = this.engine.outputMode;
+      this.maskInvertedCheckbox.checked = this.engine.maskInverted;
+      this.weightRControl.setValue(this.engine.weightR);
+      this.weightGControl.setValue(this.engine.weightG);
+      this.weightBControl.setValue(this.engine.weightB);
+      this.intensityCombo.currentItem = this.engine.intensityMode;
+      this.intensityRControl.setValue(this.engine.intensityR);
+      this.intensityGControl.setValue(this.engine.intensityG);
+      this.intensityBControl.setValue(this.engine.intensityB);
+      this.updateIntensityControls();
+      this.colorCalibrationCheckbox.checked = this.engine.colorCalibration;
+      this.updateColorMatrixControls();
+      this.luminanceBlendControl.setValue(this.engine.luminanceBlend);
+      this.blackLControl.setValue(this.engine.blackL * 10000);
+      this.updateLuminanceControls();
       this.useActiveCheckbox.checked = this.engine.useActiveImage;
+      this.targetImageCombo.enabled = !this.engine.useActiveImage;
+      this.paletteCheckbox.checked = this.engine.usePalette;
+      this.updatePaletteControls();
    };
 
    this.exportParameters = function()
    {
-      Parameters.set("stretch", this.engine.stretch);
-      Parameters.set("Q", this.engine.Q);
-      Parameters.set("blackPoint", this.engine.blackPoint);
-      Parameters.set("blackR", this.engine.blackR);
-      Parameters.set("blackG", this.engine.blackG);
-      Parameters.set("blackB", this.engine.blackB);
-      Parameters.set("linkedChannels", this.engine.linkedChannels);
-      Parameters.set("saturation", this.engine.saturation);
-      Parameters.set("clippingMode", this.engine.clippingMode);
+      this.engine.exportParameters();
    };
 
    this.importParameters = function()
    {
-      if (Parameters.has("stretch"))
-         this.engine.stretch = Parameters.getReal("stretch");
-      if (Parameters.has("Q"))
-         this.engine.Q = Parameters.getReal("Q");
-      if (Parameters.has("blackPoint"))
-         this.engine.blackPoint = Parameters.getReal("blackPoint");
-      if (Parameters.has("blackR"))
-         this.engine.blackR = Parameters.getReal("blackR");
-      if (Parameters.has("blackG"))
-         this.engine.blackG = Parameters.getReal("blackG");
-      if (Parameters.has("blackB"))
-         this.engine.blackB = Parameters.getReal("blackB");
-      if (Parameters.has("linkedChannels"))
-         this.engine.linkedChannels = Parameters.getBoolean("linkedChannels");
-      if (Parameters.has("saturation"))
-         this.engine.saturation = Parameters.getReal("saturation");
-      if (Parameters.has("clippingMode"))
-         this.engine.clippingMode = Parameters.getInteger("clippingMode");
-
+      this.engine.importParameters();
+      this.populateImageLists();
       this.updateControlsFromEngine();
+      this.updateTargetWindow();
    };
 
    this.apply = function()
    {
-      if (!this.targetWindow)
+      var inputError = this.engine.validateInputs(this.targetWindow);
+      if (inputError === null)
+         inputError = this.engine.validateParameters();
+      if (inputError === null)
+         inputError = this.engine.validateOutput(this.targetWindow ? this.targetWindow.currentView : null);
+      if (inputError !== null)
       {
-         (new MessageBox("No target image selected.", TITLE, StdIcon_Error, StdButton_Ok)).execute();
+         (new MessageBox(inputError + ".", TITLE, StdIcon_Error, StdButton_Ok)).execute();
          return;
       }
 
@@ -1765,6 +7975,20 @@ function LuptonDialog(engine)
       if (result)
       {
          this.timeLabel.text = "Applied successfully";
+         // Show the alpha and Q solved for this image
+         if (this.engine.autoStretch || this.engine.usesPhysicalParameters())
+         {
+            this.stretchControl.setValue(this.engine.stretch);
+            this.qControl.setValue(this.engine.Q);
+            this.updatePhysicalFromStretch();
+         }
+         // The source itself was stretched
+         if (this.engine.outputMode === 1)
+         {
+            this.engine.previewCache = null;
+            this.engine.displayStatistics = null;
+            this.schedulePreviewUpdate();
+         }
       }
    };
 
@@ -1772,9 +7996,16 @@ function LuptonDialog(engine)
    this.populateImageLists();
    this.updateTargetWindow();
    this.updatePreviewModeButtons();
-
-   // Import parameters if running from process icon
-   if (Parameters.isViewTarget || Parameters.isGlobalTarget)
+   this.updateStretchControls();
+   this.updateIntensityControls();
+   this.updateLuminanceControls();
+   this.updatePaletteControls();
+   this.updateColorMatrixControls();
+   this.updateClippingControls();
+   this.updateBeforeViewControls();
+
+   // Opened by editing a process icon: start from the stored parameters
+   if (this.engine.hasStoredParameters())
    {
       this.importParameters();
    }
@@ -1788,6 +8019,24 @@ LuptonDialog.prototype = new Dialog;
 
 function main()
 {
+   // Executed from a process icon or instance: apply the stored parameters
+   // without user interaction
+   if (Parameters.isViewTarget || Parameters.isGlobalTarget)
+   {
+      var headlessEngine = new LuptonEngine();
+      headlessEngine.importParameters();
+      var result;
+      if (Parameters.isViewTarget)
+         result = headlessEngine.execute(Parameters.targetView.window, Parameters.targetView);
+      else
+         result = headlessEngine.execute(ImageWindow.activeWindow);
+
+      // The reason is already in the console; fail the icon run with it
+      if (!result)
+         throw new Error(TITLE + ": execution failed, see the Process Console for details");
+      return;
+   }
+
    console.hide();
 
    // Check for an active image